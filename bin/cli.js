@@ -5,6 +5,7 @@ const chalk = require('chalk');
 const path = require('path');
 const InteractiveMode = require('../lib/interactive-new');
 const Scanner = require('../lib/scanner');
+const ProjectConfig = require('../lib/project-config');
 
 program
   .version('1.0.0')
@@ -13,6 +14,7 @@ program
   .option('--dry-run', 'show what would be deleted without actually deleting')
   .option('--output <file>', 'output results to JSON file')
   .option('--project-root <path>', 'specify project root directory', process.cwd())
+  .option('--access-log <file...>', 'access logs (nginx/Apache combined, pm2/express or JSON lines) to use as usage evidence')
   .parse();
 
 const options = program.opts();
@@ -22,7 +24,13 @@ async function main() {
   
   try {
     const projectRoot = path.resolve(options.projectRoot);
-    const scanner = new Scanner(projectRoot);
+    const config = await ProjectConfig.load(projectRoot);
+    applyConfigDefaults(config, projectRoot);
+    
+    const scanner = new Scanner(projectRoot, {
+      accessLogs: (options.accessLog || []).map(file => path.resolve(file)),
+      config
+    });
     
     // Always scan first
     console.log(chalk.gray('Scanning project for server actions and references...'));
@@ -41,7 +49,7 @@ async function main() {
       }
     } else {
       // Default: Interactive mode
-      const interactive = new InteractiveMode(results, options);
+      const interactive = new InteractiveMode(results, { ...options, config });
       await interactive.start();
     }
     
@@ -51,4 +59,22 @@ async function main() {
   }
 }
 
+function applyConfigDefaults(config, projectRoot) {
+  // Options from .wapplercleanuprc only fill in what was not given on the command line;
+  // paths in the config file are relative to the project root
+  for (const [key, value] of Object.entries(config.options)) {
+    if (key === 'projectRoot' || program.getOptionValueSource(key) === 'cli') continue;
+    if (key === 'accessLog') {
+      options.accessLog = [].concat(value).map(file => path.resolve(projectRoot, file));
+    } else if (key === 'output') {
+      options.output = path.resolve(projectRoot, value);
+    } else {
+      options[key] = value;
+    }
+  }
+  if (config.file) {
+    console.log(chalk.gray(`Using ${config.file}`));
+  }
+}
+
 main();
\ No newline at end of file
@@ -0,0 +1,127 @@
+const fs = require('fs-extra');
+const readline = require('readline');
+
+const HTTP_METHODS = 'GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS';
+
+// nginx/Apache combined: 1.2.3.4 - - [10/Oct/2023:13:55:36 +0000] "GET /api/v1/x?y=1 HTTP/1.1" 200 ...
+const COMBINED_PATTERN = new RegExp(`\\[([^\\]]+)\\]\\s+"(?:${HTTP_METHODS})\\s+([^\\s"]+)`);
+// pm2/express (morgan): 2023-10-10T13:55:36: GET /api/v1/x 200 5.123 ms - 15
+const REQUEST_PATTERN = new RegExp(`\\b(?:${HTTP_METHODS})\\s+(\\/[^\\s"]*)`);
+const LEADING_TIMESTAMP_PATTERN = /^\[?(\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|\s?[+-]\d{2}:?\d{2})?)/;
+
+class AccessLogParser {
+  constructor() {
+    this.stats = {
+      files: [],
+      linesParsed: 0,
+      requests: 0
+    };
+  }
+
+  async parseFiles(files) {
+    // request path -> { hits, firstHit, lastHit }
+    const traffic = new Map();
+
+    for (const file of files) {
+      if (!await fs.pathExists(file)) {
+        throw new Error(`Access log not found: ${file}`);
+      }
+      this.stats.files.push(file);
+
+      const lines = readline.createInterface({
+        input: fs.createReadStream(file, { encoding: 'utf-8' }),
+        crlfDelay: Infinity
+      });
+
+      for await (const line of lines) {
+        this.stats.linesParsed++;
+        const request = this.parseLine(line);
+        if (request) {
+          this.stats.requests++;
+          this.recordHit(traffic, request);
+        }
+      }
+    }
+
+    return traffic;
+  }
+
+  parseLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed) return null;
+
+    if (trimmed.startsWith('{')) {
+      return this.parseJsonLine(trimmed);
+    }
+
+    const combined = trimmed.match(COMBINED_PATTERN);
+    if (combined) {
+      return { path: this.normalizePath(combined[2]), timestamp: this.parseCombinedDate(combined[1]) };
+    }
+
+    const request = trimmed.match(REQUEST_PATTERN);
+    if (request) {
+      const timestamp = trimmed.match(LEADING_TIMESTAMP_PATTERN);
+      return { path: this.normalizePath(request[1]), timestamp: timestamp ? this.parseDate(timestamp[1]) : null };
+    }
+
+    return null;
+  }
+
+  parseJsonLine(line) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      return null;
+    }
+
+    // Covers flat loggers ({ url, time }) as well as pino/bunyan style ({ req: { url }, time })
+    const url = entry.url || entry.path || entry.uri || entry.request_uri ||
+      (entry.req && (entry.req.originalUrl || entry.req.url)) ||
+      (entry.request && (entry.request.url || entry.request.uri));
+    if (typeof url !== 'string') return null;
+
+    const time = entry.time || entry.timestamp || entry['@timestamp'] || entry.date || entry.ts;
+    return { path: this.normalizePath(url), timestamp: time !== undefined ? this.parseDate(time) : null };
+  }
+
+  parseCombinedDate(value) {
+    // 10/Oct/2023:13:55:36 +0000 -> 10 Oct 2023 13:55:36 +0000
+    return this.parseDate(value.replace(/^(\d+)\/(\w+)\/(\d+):/, '$1 $2 $3 '));
+  }
+
+  parseDate(value) {
+    const date = typeof value === 'number' ? new Date(value < 1e12 ? value * 1000 : value) : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  normalizePath(url) {
+    // Absolute URLs in JSON logs, query strings and trailing slashes all map to the same action
+    let requestPath = url.replace(/^https?:\/\/[^/]+/, '').split('?')[0].split('#')[0];
+    try {
+      requestPath = decodeURI(requestPath);
+    } catch (error) {
+      // Keep the raw path if it is not valid URI encoding
+    }
+    return requestPath.length > 1 ? requestPath.replace(/\/+$/, '') : requestPath;
+  }
+
+  recordHit(traffic, { path: requestPath, timestamp }) {
+    if (!traffic.has(requestPath)) {
+      traffic.set(requestPath, { hits: 0, firstHit: null, lastHit: null });
+    }
+    const entry = traffic.get(requestPath);
+    entry.hits++;
+    if (timestamp) {
+      if (!entry.firstHit || timestamp < entry.firstHit) entry.firstHit = timestamp;
+      if (!entry.lastHit || timestamp > entry.lastHit) entry.lastHit = timestamp;
+    }
+  }
+
+  getStats() {
+    return this.stats;
+  }
+}
+
+module.exports = AccessLogParser;
@@ -0,0 +1,151 @@
+// Option keys of flow steps that hold nested step lists:
+// condition (then/else), try/catch (try/catch/finally), switch (default)
+const BRANCH_KEYS = ['then', 'else', 'try', 'catch', 'finally', 'default'];
+
+class ActionModel {
+  constructor(content) {
+    this.meta = (content && content.meta) || {};
+    const rootPath = content && typeof content.exec === 'object' ? 'exec' : 'steps';
+    this.steps = this.parseSteps(ActionModel.getRootSteps(content), { path: rootPath, disabled: false, parent: null });
+  }
+
+  static isAction(content) {
+    // Server actions, library actions and schedules all wrap their steps in exec.steps;
+    // routes and config files may have a string "exec", which is not a step list
+    if (typeof content !== 'object' || content === null || Array.isArray(content)) return false;
+    return (typeof content.exec === 'object' && content.exec !== null) || Array.isArray(content.steps);
+  }
+
+  static getRootSteps(content) {
+    if (!content) return [];
+    if (typeof content.exec === 'object' && content.exec !== null) return content.exec;
+    return content.steps || [];
+  }
+
+  parseSteps(node, { path, disabled, parent, branch = null }) {
+    // A step list is an array, an object with a steps array, or a single step
+    let items;
+    if (Array.isArray(node)) {
+      items = node;
+    } else if (node && typeof node === 'object' && node.steps !== undefined) {
+      return this.parseSteps(node.steps, { path: `${path}.steps`, disabled: disabled || node.disabled === true, parent, branch });
+    } else if (node && typeof node === 'object' && (node.module || node.action)) {
+      items = [node];
+    } else {
+      return [];
+    }
+
+    return items
+      .filter(item => item && typeof item === 'object')
+      .map((item, index) => this.parseStep(item, { path: `${path}[${index}]`, disabled, parent, branch }));
+  }
+
+  parseStep(raw, { path, disabled, parent, branch }) {
+    const options = raw.options && typeof raw.options === 'object' ? raw.options : {};
+    const step = {
+      name: raw.name || '',
+      module: raw.module || null,
+      action: raw.action || null,
+      options,
+      output: raw.output === true,
+      outputType: raw.outputType || null,
+      // Everything below a disabled step is disabled too
+      disabled: disabled || raw.disabled === true,
+      condition: ActionModel.getCondition(options),
+      path,
+      branch,
+      parent,
+      children: [],
+      raw
+    };
+
+    const addChildren = (key, node, childBranch) => {
+      const steps = this.parseSteps(node, { path: `${path}.options.${key}`, disabled: step.disabled, parent: step, branch: childBranch });
+      step.children.push({ branch: childBranch, steps });
+    };
+
+    for (const key of BRANCH_KEYS) {
+      if (options[key] && typeof options[key] === 'object') {
+        addChildren(key, options[key], key);
+      }
+    }
+
+    // Repeat, while, group and parallel run their body from options.exec;
+    // a string exec is a library call, not a body
+    if (options.exec && typeof options.exec === 'object') {
+      addChildren('exec', options.exec, step.action === 'repeat' || step.action === 'while' ? 'loop' : 'body');
+    }
+
+    if (Array.isArray(options.cases)) {
+      options.cases.forEach((switchCase, index) => {
+        if (switchCase && typeof switchCase === 'object') {
+          addChildren(`cases[${index}]`, switchCase.exec || switchCase.steps || [], `case ${switchCase.value !== undefined ? switchCase.value : index}`);
+        }
+      });
+    }
+
+    return step;
+  }
+
+  static getCondition(options) {
+    for (const key of ['if', 'while', 'repeat', 'expression', 'switch']) {
+      if (typeof options[key] === 'string') return options[key];
+    }
+    return null;
+  }
+
+  static getStepLabel(step) {
+    return step.name ? `${step.path} (${step.name})` : step.path;
+  }
+
+  walk(callback, steps = this.steps) {
+    // Depth-first over every step, nested branches included
+    for (const step of steps) {
+      callback(step);
+      for (const child of step.children) {
+        this.walk(callback, child.steps);
+      }
+    }
+  }
+
+  walkUsages(callback) {
+    // For usage checks (modules, formatters, configs, query results): whatever a step names
+    // stays in use even while the step is disabled, so re-enabling it never finds it deleted
+    this.walk(step => callback(step, this.getOptionStrings(step)));
+  }
+
+  getAllSteps() {
+    const steps = [];
+    this.walk(step => steps.push(step));
+    return steps;
+  }
+
+  getOptionStrings(step) {
+    // Every string value in a step's options, skipping nested step lists which are steps of their own
+    const strings = [];
+    const collect = (value, key) => {
+      if (typeof value === 'string') {
+        strings.push({ key, value });
+      } else if (Array.isArray(value)) {
+        value.forEach(item => collect(item, key));
+      } else if (value && typeof value === 'object') {
+        for (const [childKey, childValue] of Object.entries(value)) {
+          collect(childValue, childKey);
+        }
+      }
+    };
+
+    for (const [key, value] of Object.entries(step.options)) {
+      if (BRANCH_KEYS.includes(key) && value && typeof value === 'object') continue;
+      if (key === 'exec' && value && typeof value === 'object') continue;
+      if (key === 'cases' && Array.isArray(value)) {
+        value.forEach(switchCase => collect(switchCase && switchCase.value, 'value'));
+        continue;
+      }
+      collect(value, key);
+    }
+    return strings;
+  }
+}
+
+module.exports = ActionModel;
@@ -0,0 +1,134 @@
+const fs = require('fs-extra');
+const path = require('path');
+const glob = require('fast-glob');
+const ProjectConfig = require('./project-config');
+
+const ASSET_DIRS = ['assets', 'css', 'js', 'images'];
+const ASSET_PATH_PATTERN = /[\w\-./@~%]+\.(?:png|jpe?g|gif|svg|webp|avif|ico|bmp|css|js|mjs|map|woff2?|ttf|eot|otf|mp4|webm|ogg|mp3|wav|pdf|json|txt|xml)\b/gi;
+
+class AssetUsageDetector {
+  constructor(projectRoot, config = null) {
+    this.projectRoot = projectRoot;
+    this.config = config || new ProjectConfig();
+    this.publicDir = path.join(projectRoot, 'public');
+  }
+
+  async findUnusedAssets() {
+    if (!await fs.pathExists(this.publicDir)) {
+      return [];
+    }
+
+    const assetFiles = await glob(ASSET_DIRS.map(dir => `${dir}/**/*`), { cwd: this.publicDir });
+    const sources = await this.loadSources();
+    const { paths, basenames } = this.collectReferences(sources);
+
+    const unusedAssets = [];
+    for (const assetFile of assetFiles) {
+      const assetPath = path.join(this.publicDir, assetFile);
+
+      // Exact path match first, then fall back to a bare file name match
+      // so assets referenced through partially dynamic paths are kept
+      if (this.countOtherSources(paths.get(assetFile), assetPath) > 0) continue;
+      if (this.countOtherSources(basenames.get(path.basename(assetFile)), assetPath) > 0) continue;
+
+      const stat = await fs.stat(assetPath);
+      unusedAssets.push({
+        path: assetPath,
+        relativePath: path.join('public', assetFile),
+        size: stat.size
+      });
+    }
+
+    return unusedAssets.sort((a, b) => b.size - a.size);
+  }
+
+  async loadSources() {
+    const files = await glob([
+      '{views,public}/**/*.{html,ejs,css,js}',
+      'app/**/*.json',
+      'extensions/**/*.js'
+    ], { cwd: this.projectRoot, ignore: ['**/node_modules/**'] });
+
+    const sources = [];
+    for (const file of files.filter(file => !this.config.isExcluded(file))) {
+      const filePath = path.join(this.projectRoot, file);
+      sources.push({
+        filePath,
+        content: await fs.readFile(filePath, 'utf-8')
+      });
+    }
+    return sources;
+  }
+
+  collectReferences(sources) {
+    // paths: public-relative path -> source files that reference it
+    // basenames: bare file name -> source files that mention it
+    const paths = new Map();
+    const basenames = new Map();
+
+    for (const source of sources) {
+      const matches = source.content.match(ASSET_PATH_PATTERN) || [];
+
+      for (const match of matches) {
+        const cleanPath = match.split('?')[0].split('#')[0];
+        this.addSource(paths, this.resolvePublicPath(cleanPath, source.filePath), source.filePath);
+        this.addSource(basenames, path.posix.basename(cleanPath), source.filePath);
+      }
+    }
+
+    return { paths, basenames };
+  }
+
+  addSource(map, key, sourceFile) {
+    if (!map.has(key)) {
+      map.set(key, new Set());
+    }
+    map.get(key).add(sourceFile);
+  }
+
+  resolvePublicPath(reference, sourceFile) {
+    // CSS url() and relative script paths resolve against the file that contains them
+    if (sourceFile.endsWith('.css') && !reference.startsWith('/') && sourceFile.startsWith(this.publicDir)) {
+      const absolute = path.resolve(path.dirname(sourceFile), reference);
+      return path.relative(this.publicDir, absolute).split(path.sep).join('/');
+    }
+    return reference.replace(/^(\.\.?\/)+/, '').replace(/^\//, '').replace(/^public\//, '');
+  }
+
+  countOtherSources(sourceFiles, assetPath) {
+    // An asset mentioning itself (e.g. a sourceMappingURL) does not count as usage
+    if (!sourceFiles) return 0;
+    return Array.from(sourceFiles).filter(file => file !== assetPath).length;
+  }
+
+  async deleteAssets(assetPaths) {
+    const results = {
+      deleted: [],
+      errors: []
+    };
+
+    for (const assetPath of assetPaths) {
+      try {
+        if (await fs.pathExists(assetPath)) {
+          await fs.remove(assetPath);
+          results.deleted.push(assetPath);
+        }
+      } catch (error) {
+        results.errors.push({
+          path: assetPath,
+          error: error.message
+        });
+      }
+    }
+
+    return results;
+  }
+
+  static formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+}
+
+module.exports = AssetUsageDetector;
@@ -0,0 +1,172 @@
+// How much a single reference says about usage, by how it was found.
+// Attribute and call matches are explicit, free-text URL matches are looser.
+const REFERENCE_WEIGHTS = {
+  'html-url': 60,
+  'html-action': 60,
+  'js-fetch': 60,
+  'js-ajax': 60,
+  'exec-string': 60,
+  'queue-api-file': 60,
+  'schedule': 60,
+  'step-url': 60,
+  'socket-emit': 60,
+  'url-string': 30,
+  'template-url': 30
+};
+const DEFAULT_WEIGHT = 30;
+// Plugin detectors match specific attributes or calls, so their references are explicit by default
+const PLUGIN_WEIGHT = 60;
+const DYNAMIC_WEIGHT = 20;
+const OLD_TRAFFIC_WEIGHT = 20;
+const ORPHANED_SOURCE_FACTOR = 0.5;
+
+// Score thresholds: at or above USED_THRESHOLD is used, 0 is likely unused, anything between is the grey zone
+const USED_THRESHOLD = 60;
+const MAX_SCORE = 100;
+
+class ConfidenceScorer {
+  constructor({ reachable, possiblyReachable, orphanedViews = [] }) {
+    this.reachable = reachable;
+    this.possiblyReachable = possiblyReachable;
+    this.orphanedViews = new Set(orphanedViews.map(view => view.relativePath));
+  }
+
+  score(urlPath, action) {
+    const reasons = [];
+    let score = 0;
+
+    const references = ConfidenceScorer.dedupeReferences(action.references);
+    for (const reference of references) {
+      const weight = this.getReferenceWeight(reference, reasons);
+      score += weight;
+    }
+
+    for (const reference of action.dynamicReferences) {
+      if (reference.dormant) {
+        reasons.push(`+0 dormant dynamic pattern ${reference.pattern} in ${this.formatLocation(reference)}`);
+        continue;
+      }
+      if (reference.sourceAction && !this.possiblyReachable.has(reference.sourceAction)) {
+        reasons.push(`+0 dynamic pattern ${reference.pattern} in unused action ${reference.sourceAction}`);
+        continue;
+      }
+      score += DYNAMIC_WEIGHT;
+      reasons.push(`+${DYNAMIC_WEIGHT} matches dynamic pattern ${reference.pattern} in ${this.formatLocation(reference)}`);
+    }
+
+    if (action.traffic) {
+      const lastHit = action.traffic.lastHit ? action.traffic.lastHit.split('T')[0] : 'unknown date';
+      if (action.traffic.recent) {
+        score += MAX_SCORE;
+        reasons.push(`+${MAX_SCORE} ${action.traffic.hits} hits in usage logs, last ${lastHit}`);
+      } else {
+        score += OLD_TRAFFIC_WEIGHT;
+        reasons.push(`+${OLD_TRAFFIC_WEIGHT} ${action.traffic.hits} old hits in usage logs, last ${lastHit}`);
+      }
+    }
+
+    if (action.category === 'webhook') {
+      reasons.push('entry point: webhook handler called by external systems');
+    } else if (action.category === 'socket') {
+      reasons.push('entry point: socket event handler called by socket clients');
+    } else if (this.reachable.has(urlPath)) {
+      reasons.push('reachable from an entry point');
+    } else if (this.possiblyReachable.has(urlPath)) {
+      reasons.push('reachable only through dynamic URL patterns');
+    } else {
+      reasons.push('not reachable from any route, view, schedule or queue');
+    }
+
+    score = Math.min(MAX_SCORE, score);
+    const hasDormantReferences = [...references, ...action.dynamicReferences].some(reference => reference.dormant);
+    if (action.category === 'webhook' || action.category === 'socket') {
+      return { score, reasons, ...this.classifyExternal(score) };
+    }
+    return { score, reasons, ...this.classify(urlPath, score, hasDormantReferences) };
+  }
+
+  static dedupeReferences(references) {
+    // Several patterns can match the same URL on one line (url="/api/..." is an html-url,
+    // a url-string and a template-url); it counts once, as the live match with the highest weight
+    const byLocation = new Map();
+    for (const reference of references) {
+      const key = `${reference.sourceFile}|${reference.line}|${reference.normalizedPath}`;
+      const current = byLocation.get(key);
+      if (!current || ConfidenceScorer.outranks(reference, current)) {
+        byLocation.set(key, reference);
+      }
+    }
+    return Array.from(byLocation.values());
+  }
+
+  static outranks(reference, other) {
+    if (reference.dormant !== other.dormant) return !reference.dormant;
+    return ConfidenceScorer.getBaseWeight(reference) > ConfidenceScorer.getBaseWeight(other);
+  }
+
+  static getBaseWeight(reference) {
+    if (reference.weight !== undefined) return reference.weight;
+    return REFERENCE_WEIGHTS[reference.type] !== undefined ? REFERENCE_WEIGHTS[reference.type] : DEFAULT_WEIGHT;
+  }
+
+  getReferenceWeight(reference, reasons) {
+    const location = this.formatLocation(reference);
+
+    // Commented out or inside a disabled step: worth nothing, but keeps the action out of the safe tier
+    if (reference.dormant) {
+      reasons.push(`+0 dormant ${reference.type} in ${location}`);
+      return 0;
+    }
+
+    // References from actions that are themselves unreachable prove nothing,
+    // from actions only reached through dynamic URLs they are as weak as a dynamic match
+    if (reference.sourceAction && !this.reachable.has(reference.sourceAction)) {
+      if (this.possiblyReachable.has(reference.sourceAction)) {
+        reasons.push(`+${DYNAMIC_WEIGHT} ${reference.type} from possibly referenced action ${reference.sourceAction}`);
+        return DYNAMIC_WEIGHT;
+      }
+      reasons.push(`+0 ${reference.type} from unused action ${reference.sourceAction}`);
+      return 0;
+    }
+
+    let weight = ConfidenceScorer.getBaseWeight(reference);
+    if (this.orphanedViews.has(reference.sourceFile)) {
+      weight = Math.round(weight * ORPHANED_SOURCE_FACTOR);
+      reasons.push(`+${weight} ${reference.type} from orphaned view ${location}`);
+      return weight;
+    }
+
+    reasons.push(`+${weight} ${reference.type} from ${location}`);
+    return weight;
+  }
+
+  classify(urlPath, score, hasDormantReferences) {
+    if (score >= USED_THRESHOLD && this.reachable.has(urlPath)) {
+      return { status: 'used', confidence: 'in-use' };
+    }
+    if (score > 0) {
+      const isDynamicOnly = !this.reachable.has(urlPath) && this.possiblyReachable.has(urlPath);
+      return { status: isDynamicOnly ? 'possibly-referenced' : 'possibly-unused', confidence: 'review-needed' };
+    }
+    if (hasDormantReferences) {
+      return { status: 'possibly-unused', confidence: 'review-needed' };
+    }
+    return { status: 'likely-unused', confidence: 'safe-to-delete' };
+  }
+
+  classifyExternal(score) {
+    // Without a page emitting to it or logged traffic there is no way to tell
+    // whether an outside system still calls the handler, so it is never safe to delete
+    if (score >= USED_THRESHOLD) {
+      return { status: 'used', confidence: 'in-use' };
+    }
+    return { status: 'external-entry', confidence: 'review-needed' };
+  }
+
+  formatLocation(reference) {
+    return reference.line ? `${reference.sourceFile}:${reference.line}` : reference.sourceFile;
+  }
+}
+
+module.exports = ConfidenceScorer;
+module.exports.PLUGIN_WEIGHT = PLUGIN_WEIGHT;
@@ -0,0 +1,105 @@
+class DependencyGraph {
+  constructor() {
+    this.nodes = new Set();
+    this.edges = new Map();
+    this.entryPoints = new Set();
+  }
+
+  addNode(node) {
+    this.nodes.add(node);
+    if (!this.edges.has(node)) {
+      this.edges.set(node, new Set());
+    }
+  }
+
+  addEdge(from, to) {
+    this.addNode(from);
+    this.addNode(to);
+    this.edges.get(from).add(to);
+  }
+
+  addEntryPoint(node) {
+    this.addNode(node);
+    this.entryPoints.add(node);
+  }
+
+  getDependencies(node) {
+    return Array.from(this.edges.get(node) || []);
+  }
+
+  getDependents(node) {
+    const dependents = [];
+    for (const [from, targets] of this.edges) {
+      if (from !== node && targets.has(node)) {
+        dependents.push(from);
+      }
+    }
+    return dependents;
+  }
+
+  getReachable() {
+    // Breadth-first walk from every entry point
+    const reachable = new Set(this.entryPoints);
+    const queue = Array.from(this.entryPoints);
+
+    while (queue.length > 0) {
+      const node = queue.shift();
+      for (const next of this.edges.get(node) || []) {
+        if (!reachable.has(next)) {
+          reachable.add(next);
+          queue.push(next);
+        }
+      }
+    }
+
+    return reachable;
+  }
+
+  getStronglyConnectedComponents() {
+    // Tarjan's algorithm: every node ends up in exactly one component
+    let index = 0;
+    const indices = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+
+    const visit = (node) => {
+      indices.set(node, index);
+      lowLinks.set(node, index);
+      index++;
+      stack.push(node);
+      onStack.add(node);
+
+      for (const next of this.edges.get(node) || []) {
+        if (!indices.has(next)) {
+          visit(next);
+          lowLinks.set(node, Math.min(lowLinks.get(node), lowLinks.get(next)));
+        } else if (onStack.has(next)) {
+          lowLinks.set(node, Math.min(lowLinks.get(node), indices.get(next)));
+        }
+      }
+
+      if (lowLinks.get(node) === indices.get(node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== node);
+        components.push(component);
+      }
+    };
+
+    for (const node of this.nodes) {
+      if (!indices.has(node)) {
+        visit(node);
+      }
+    }
+
+    return components;
+  }
+}
+
+module.exports = DependencyGraph;
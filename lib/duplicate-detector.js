@@ -0,0 +1,162 @@
+const ActionModel = require('./action-model');
+
+// Share of step lines two actions must have in common to count as near-duplicates
+const SIMILARITY_THRESHOLD = 0.8;
+
+// Actions this small look alike by accident, only exact copies are reported
+const MIN_LINES = 3;
+
+class DuplicateDetector {
+  constructor(options = {}) {
+    this.threshold = options.threshold || SIMILARITY_THRESHOLD;
+  }
+
+  findDuplicates(actions) {
+    const entries = actions
+      .filter(action => action.content)
+      .map(action => {
+        const lines = this.flatten(action.content);
+        return { action, lines, canonical: lines.join('\n'), counts: this.countLines(lines) };
+      })
+      .filter(entry => entry.lines.length > 0);
+
+    // Union-find over every pair that is identical or similar enough
+    const parent = entries.map((entry, index) => index);
+    const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        if (this.isDuplicate(entries[i], entries[j])) {
+          parent[find(j)] = find(i);
+        }
+      }
+    }
+
+    const groups = new Map();
+    entries.forEach((entry, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(entry);
+    });
+
+    return Array.from(groups.values())
+      .filter(members => members.length > 1)
+      .map(members => this.describeGroup(members))
+      // Exact copies first, then the closest near-duplicates
+      .sort((a, b) => b.similarity - a.similarity || b.copies.length - a.copies.length);
+  }
+
+  isDuplicate(a, b) {
+    if (a.canonical === b.canonical) return true;
+    if (Math.min(a.lines.length, b.lines.length) < MIN_LINES) return false;
+    // Cheap bound first: the shorter action cannot share more lines than it has
+    const bound = (2 * Math.min(a.lines.length, b.lines.length)) / (a.lines.length + b.lines.length);
+    if (bound < this.threshold) return false;
+    return this.similarity(a, b) >= this.threshold;
+  }
+
+  describeGroup(members) {
+    // Keep the most referenced copy as the baseline the others are diffed against
+    const sorted = [...members].sort((a, b) => b.action.referenceCount - a.action.referenceCount || a.action.urlPath.localeCompare(b.action.urlPath));
+    const [baseline] = sorted;
+    const identical = sorted.every(entry => entry.canonical === baseline.canonical);
+
+    const copies = sorted.map(entry => {
+      const similarity = entry === baseline ? 1 : this.similarity(baseline, entry);
+      return {
+        urlPath: entry.action.urlPath,
+        filePath: entry.action.filePath,
+        status: entry.action.status,
+        similarity: Math.round(similarity * 100) / 100,
+        references: entry.action.references.map(reference => ({
+          sourceFile: reference.sourceFile,
+          line: reference.line,
+          type: reference.type
+        })),
+        diff: entry === baseline ? [] : this.diff(baseline.lines, entry.lines)
+      };
+    });
+
+    return {
+      kind: identical ? 'identical' : 'similar',
+      baseline: baseline.action.urlPath,
+      similarity: Math.min(...copies.map(copy => copy.similarity)),
+      copies
+    };
+  }
+
+  flatten(content) {
+    // One line per declared input, step and step option, indented by nesting depth.
+    // Step paths are left out so a copy with one extra step still lines up
+    const model = new ActionModel(content);
+    const lines = [];
+
+    for (const source of ['$_GET', '$_POST', '$_PARAM']) {
+      if (!Array.isArray(model.meta[source])) continue;
+      for (const input of model.meta[source]) {
+        if (input && input.name) lines.push(`input ${source}.${input.name}`);
+      }
+    }
+
+    const visit = (steps, depth) => {
+      const indent = '  '.repeat(depth);
+      for (const step of steps) {
+        lines.push(`${indent}${step.module || '?'}.${step.action || '?'} ${step.name}${step.disabled ? ' (disabled)' : ''}`);
+        for (const { key, value } of model.getOptionStrings(step)) {
+          lines.push(`${indent}  ${key}: ${value}`);
+        }
+        for (const child of step.children) {
+          lines.push(`${indent}  [${child.branch}]`);
+          visit(child.steps, depth + 2);
+        }
+      }
+    };
+    visit(model.steps, 0);
+
+    return lines;
+  }
+
+  countLines(lines) {
+    const counts = new Map();
+    for (const line of lines) {
+      counts.set(line, (counts.get(line) || 0) + 1);
+    }
+    return counts;
+  }
+
+  similarity(a, b) {
+    // Dice coefficient over the multiset of lines
+    let common = 0;
+    for (const [line, count] of a.counts) {
+      common += Math.min(count, b.counts.get(line) || 0);
+    }
+    return (2 * common) / (a.lines.length + b.lines.length);
+  }
+
+  diff(from, to) {
+    // Line diff from the longest common subsequence: '-' only in the baseline, '+' only in the copy
+    const table = Array.from({ length: from.length + 1 }, () => new Array(to.length + 1).fill(0));
+    for (let i = from.length - 1; i >= 0; i--) {
+      for (let j = to.length - 1; j >= 0; j--) {
+        table[i][j] = from[i] === to[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < from.length || j < to.length) {
+      if (i < from.length && j < to.length && from[i] === to[j]) {
+        i++;
+        j++;
+      } else if (j < to.length && (i === from.length || table[i][j + 1] >= table[i + 1][j])) {
+        changes.push({ op: '+', line: to[j++] });
+      } else {
+        changes.push({ op: '-', line: from[i++] });
+      }
+    }
+    return changes;
+  }
+}
+
+module.exports = DuplicateDetector;
@@ -1,19 +1,24 @@
 const fs = require('fs-extra');
 const path = require('path');
 const glob = require('fast-glob');
+const ProjectConfig = require('./project-config');
 
 class EmptyFolderDetector {
-  constructor(projectRoot) {
+  constructor(projectRoot, config = null) {
     this.projectRoot = projectRoot;
+    this.config = config || new ProjectConfig();
   }
 
   async findEmptyFolders() {
     const emptyFolders = [];
     
     // Focus on app/api and app/lib directories where server actions are
+    // (plus dmxConnect/api for PHP projects)
     const searchDirs = [
       path.join(this.projectRoot, 'app/api'),
-      path.join(this.projectRoot, 'app/lib')
+      path.join(this.projectRoot, 'app/lib'),
+      path.join(this.projectRoot, 'dmxConnect/api'),
+      ...this.config.actionRoots.map(({ root }) => path.join(this.projectRoot, root))
     ];
 
     for (const searchDir of searchDirs) {
@@ -23,10 +28,12 @@ class EmptyFolderDetector {
       }
     }
 
-    return emptyFolders.map(folder => ({
-      path: folder,
-      relativePath: path.relative(this.projectRoot, folder)
-    }));
+    return emptyFolders
+      .map(folder => ({
+        path: folder,
+        relativePath: path.relative(this.projectRoot, folder)
+      }))
+      .filter(folder => !this.config.isExcluded(folder.relativePath) && !this.config.isProtected(folder.relativePath));
   }
 
   async findEmptyFoldersInDirectory(dir) {
@@ -0,0 +1,171 @@
+const fs = require('fs-extra');
+const path = require('path');
+const glob = require('fast-glob');
+const { builtinModules } = require('module');
+
+const MODULES_DIR = 'extensions/server_connect/modules';
+const REQUIRE_PATTERNS = [
+  /\brequire\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
+  /\bimport\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
+  /\bimport\s+(?:[\w*{}\s,]+\s+from\s+)?['"]([^'"]+)['"]/g
+];
+
+class ExtensionUsageDetector {
+  constructor(projectRoot, models) {
+    this.projectRoot = projectRoot;
+    this.models = models;
+  }
+
+  async findUnusedExtensions() {
+    const moduleFiles = await glob(`${MODULES_DIR}/*.js`, { cwd: this.projectRoot });
+    if (moduleFiles.length === 0) {
+      return { extensions: [], dependencies: [] };
+    }
+
+    const usedModules = this.collectUsedModules();
+    const scripts = await this.loadScripts();
+    const extensions = [];
+
+    for (const file of moduleFiles) {
+      const filePath = path.join(this.projectRoot, file);
+      const definitionPath = filePath.replace(/\.js$/, '.hjson');
+      const hasDefinition = await fs.pathExists(definitionPath);
+      const definition = hasDefinition ? await fs.readFile(definitionPath, 'utf-8') : '';
+      const source = scripts.find(script => script.filePath === filePath);
+
+      // The file name is the module name steps use; the .hjson may declare more
+      const names = new Set([path.basename(file, '.js'), ...this.matchAll(definition, /\bmodule\s*:\s*['"]?([\w-]+)/g)]);
+      const actions = new Set([
+        ...this.matchAll(source ? source.content : '', /\bexports\.(\w+)\s*=/g),
+        ...this.matchAll(definition, /\baction\s*:\s*['"]?([\w-]+)/g)
+      ]);
+
+      extensions.push({
+        module: path.basename(file, '.js'),
+        path: filePath,
+        relativePath: file,
+        files: hasDefinition ? [file, path.relative(this.projectRoot, definitionPath)] : [file],
+        actions: Array.from(actions),
+        used: [...names].some(name => usedModules.has(name))
+      });
+    }
+
+    // A module no step uses can still be required by other code; repeat until stable
+    // so a helper only required by unused modules is unused as well
+    let unused = extensions.filter(extension => !extension.used);
+    let changed = true;
+    while (changed) {
+      const unusedPaths = new Set(unused.map(extension => extension.path));
+      const stillUnused = unused.filter(extension =>
+        !scripts.some(script => !unusedPaths.has(script.filePath) && this.requiresFile(script, extension.path))
+      );
+      changed = stillUnused.length !== unused.length;
+      unused = stillUnused;
+    }
+
+    return {
+      extensions: unused.map(({ used, ...extension }) => extension),
+      dependencies: await this.findUnusedDependencies(unused, scripts)
+    };
+  }
+
+  collectUsedModules() {
+    const used = new Set();
+    for (const model of this.models) {
+      model.walkUsages(step => {
+        if (step.module) used.add(step.module);
+      });
+    }
+    return used;
+  }
+
+  async loadScripts() {
+    const files = await glob('**/*.{js,mjs,cjs}', { cwd: this.projectRoot, ignore: ['**/node_modules/**'] });
+    const scripts = [];
+    for (const file of files) {
+      const filePath = path.join(this.projectRoot, file);
+      const content = await fs.readFile(filePath, 'utf-8');
+      scripts.push({
+        filePath,
+        relativePath: file,
+        content,
+        specifiers: REQUIRE_PATTERNS.flatMap(pattern => this.matchAll(content, pattern))
+      });
+    }
+    return scripts;
+  }
+
+  requiresFile(script, filePath) {
+    return script.specifiers
+      .filter(specifier => specifier.startsWith('.'))
+      .some(specifier => {
+        const resolved = path.resolve(path.dirname(script.filePath), specifier);
+        return resolved === filePath || `${resolved}.js` === filePath;
+      });
+  }
+
+  async findUnusedDependencies(unused, scripts) {
+    // Only packages declared in package.json can be uninstalled
+    const packageFile = path.join(this.projectRoot, 'package.json');
+    if (unused.length === 0 || !await fs.pathExists(packageFile)) return [];
+    const { dependencies = {} } = await fs.readJson(packageFile);
+
+    const unusedPaths = new Set(unused.map(extension => extension.path));
+    const requiredBy = new Map();
+    const requiredElsewhere = new Set();
+
+    for (const script of scripts) {
+      for (const name of script.specifiers.map(specifier => this.getPackageName(specifier)).filter(Boolean)) {
+        if (!unusedPaths.has(script.filePath)) {
+          requiredElsewhere.add(name);
+        } else {
+          if (!requiredBy.has(name)) requiredBy.set(name, new Set());
+          requiredBy.get(name).add(script.relativePath);
+        }
+      }
+    }
+
+    return Array.from(requiredBy)
+      .filter(([name]) => dependencies[name] && !requiredElsewhere.has(name))
+      .map(([name, files]) => ({ name, version: dependencies[name], requiredBy: Array.from(files) }));
+  }
+
+  getPackageName(specifier) {
+    // lodash/get -> lodash, @aws-sdk/client-s3/dist -> @aws-sdk/client-s3; relative paths and builtins are not packages
+    if (specifier.startsWith('.') || specifier.startsWith('/') || specifier.startsWith('node:')) return null;
+    const parts = specifier.split('/');
+    const name = specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+    return builtinModules.includes(name) ? null : name;
+  }
+
+  matchAll(content, pattern) {
+    return Array.from(content.matchAll(pattern), match => match[1]);
+  }
+
+  async deleteExtensions(modulePaths) {
+    // Each module goes together with its .hjson definition
+    const results = {
+      deleted: [],
+      errors: []
+    };
+
+    for (const modulePath of modulePaths) {
+      try {
+        await fs.remove(modulePath.replace(/\.js$/, '.hjson'));
+        if (await fs.pathExists(modulePath)) {
+          await fs.remove(modulePath);
+          results.deleted.push(modulePath);
+        }
+      } catch (error) {
+        results.errors.push({
+          path: modulePath,
+          error: error.message
+        });
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = ExtensionUsageDetector;
@@ -0,0 +1,62 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Views, layouts, assets, extension modules and module configs the user chose to keep,
+// stored apart from ignore-list.json so they never count as ignored actions
+class FileIgnoreList {
+  constructor(projectRoot) {
+    this.projectRoot = projectRoot;
+    this.toolDir = path.resolve(__dirname, '..');
+    this.ignoreFilePath = path.join(this.toolDir, 'ignored-files.json');
+    this.ignoredFiles = new Set();
+  }
+
+  async loadIgnoreList() {
+    try {
+      if (await fs.pathExists(this.ignoreFilePath)) {
+        const data = await fs.readJson(this.ignoreFilePath);
+        this.ignoredFiles = new Set(data.ignored || []);
+      }
+    } catch (error) {
+      console.warn('Warning: Could not load file ignore list, starting fresh');
+      this.ignoredFiles = new Set();
+    }
+  }
+
+  async saveIgnoreList() {
+    try {
+      const data = {
+        ignored: Array.from(this.ignoredFiles),
+        lastUpdated: new Date().toISOString(),
+        version: '1.0.0'
+      };
+      await fs.writeJson(this.ignoreFilePath, data, { spaces: 2 });
+    } catch (error) {
+      console.error('Warning: Could not save file ignore list:', error.message);
+    }
+  }
+
+  isIgnored(relativePath) {
+    return this.ignoredFiles.has(relativePath);
+  }
+
+  async addToIgnore(relativePath) {
+    this.ignoredFiles.add(relativePath);
+    await this.saveIgnoreList();
+  }
+
+  async removeFromIgnore(relativePath) {
+    this.ignoredFiles.delete(relativePath);
+    await this.saveIgnoreList();
+  }
+
+  getIgnoredFiles() {
+    return Array.from(this.ignoredFiles);
+  }
+
+  getIgnoreFilePath() {
+    return this.ignoreFilePath;
+  }
+}
+
+module.exports = FileIgnoreList;
@@ -0,0 +1,293 @@
+const keypress = require('keypress');
+const chalk = require('chalk');
+
+class FileKeyboardNavigation {
+  constructor(interactiveMode, { title, items, ignoreList }) {
+    this.interactive = interactiveMode;
+    this.title = title;
+    this.items = items;
+    this.ignoreList = ignoreList;
+    this.selectedForDeletion = new Set();
+    this.currentIndex = 0;
+    this.visibleItems = [];
+    this.pageSize = 15; // Show 15 items at a time
+    this.topIndex = 0; // Top visible item
+    this.renderTimeout = null; // For debouncing renders
+  }
+
+  async start() {
+    // Setup keypress listening
+    keypress(process.stdin);
+
+    // Enable raw mode for immediate key capture
+    process.stdin.setRawMode(true);
+    process.stdin.resume();
+
+    // Setup keypress handler
+    process.stdin.on('keypress', this.handleKeypress.bind(this));
+
+    while (true) {
+      this.visibleItems = this.buildUnifiedItemList();
+
+      if (this.visibleItems.length === 0) {
+        console.log(chalk.yellow('\nNo items to show.\n'));
+        this.cleanup();
+        return 'back';
+      }
+
+      // Ensure current index is valid
+      if (this.currentIndex >= this.visibleItems.length) {
+        this.currentIndex = this.visibleItems.length - 1;
+      }
+      if (this.currentIndex < 0) {
+        this.currentIndex = 0;
+      }
+
+      this.render();
+
+      const result = await this.waitForAction();
+      if (result !== 'continue') {
+        this.cleanup();
+        return result;
+      }
+    }
+  }
+
+  buildUnifiedItemList() {
+    // Group 1: Marked for deletion
+    const markedItems = this.items.filter(item => this.selectedForDeletion.has(item.key));
+
+    // Group 2: Available items (excluding ignored)
+    const availableItems = this.items.filter(item =>
+      !this.ignoreList.isIgnored(item.key) && !this.selectedForDeletion.has(item.key)
+    );
+
+    // Only include marked and available items (ignored items are handled separately)
+    return [...markedItems, ...availableItems];
+  }
+
+  immediateRender() {
+    if (this.renderTimeout) {
+      clearTimeout(this.renderTimeout);
+    }
+    this.render();
+  }
+
+  render() {
+    console.clear();
+    console.log(chalk.magenta.bold(`\n${this.title}\n`));
+
+    // Calculate pagination
+    this.updatePagination();
+
+    // Get visible slice of items
+    const visible = this.visibleItems.slice(this.topIndex, this.topIndex + this.pageSize);
+
+    console.log(chalk.blue.bold(`\n📋 Items (${this.currentIndex + 1}/${this.visibleItems.length})`));
+    console.log(chalk.gray('━'.repeat(80)));
+
+    visible.forEach((item, index) => {
+      const actualIndex = this.topIndex + index;
+      this.renderItemLine(item, actualIndex === this.currentIndex);
+    });
+
+    // Show pagination info
+    if (this.visibleItems.length > this.pageSize) {
+      const totalPages = Math.ceil(this.visibleItems.length / this.pageSize);
+      const currentPage = Math.floor(this.currentIndex / this.pageSize) + 1;
+      console.log(chalk.gray(`\nPage ${currentPage}/${totalPages} | Total: ${this.visibleItems.length} items`));
+    }
+
+    // Show summary counts
+    const markedCount = this.visibleItems.filter(i => this.selectedForDeletion.has(i.key)).length;
+    const ignoredCount = this.items.filter(i => this.ignoreList.isIgnored(i.key)).length;
+    const availableCount = this.visibleItems.length - markedCount;
+
+    console.log(chalk.gray(`${chalk.red('❌')} ${markedCount} marked | ${chalk.blue('📋')} ${availableCount} available | ${chalk.gray('🙈')} ${ignoredCount} ignored (separate)`));
+
+    // Show controls
+    console.log(chalk.blue('\n💡 Controls:'));
+    console.log(chalk.gray(`${chalk.blue('↑↓')} navigate | ${chalk.blue('PgUp/PgDn')} jump 10 | ${chalk.blue('Home/End')} first/last`));
+    console.log(chalk.gray(`${chalk.yellow('←')} ignore | ${chalk.red('→')} mark for deletion | ${chalk.gray('SPACE')} reset | ${chalk.green('ENTER')} execute deletion`));
+    console.log(chalk.gray(`${chalk.gray('I')} view ignored | ${chalk.gray('Q')} quit`));
+  }
+
+  updatePagination() {
+    // Ensure current index is visible
+    if (this.currentIndex < this.topIndex) {
+      this.topIndex = this.currentIndex;
+    } else if (this.currentIndex >= this.topIndex + this.pageSize) {
+      this.topIndex = this.currentIndex - this.pageSize + 1;
+    }
+
+    // Ensure we don't scroll past the end
+    if (this.topIndex + this.pageSize > this.visibleItems.length) {
+      this.topIndex = Math.max(0, this.visibleItems.length - this.pageSize);
+    }
+  }
+
+  renderItemLine(item, isSelected) {
+    const isMarked = this.selectedForDeletion.has(item.key);
+    const isIgnored = this.ignoreList.isIgnored(item.key);
+
+    let icon, color;
+    if (isMarked) {
+      icon = '❌';
+      color = chalk.red;
+    } else if (isIgnored) {
+      icon = '🙈';
+      color = chalk.gray;
+    } else {
+      icon = '📋';
+      color = chalk.blue;
+    }
+
+    const line = `${icon} ${item.label}`;
+
+    if (isSelected) {
+      console.log(chalk.bgWhite.black(`► ${line}`));
+    } else {
+      console.log(color(`  ${line}`));
+    }
+  }
+
+  async waitForAction() {
+    return new Promise((resolve) => {
+      this.actionResolver = resolve;
+    });
+  }
+
+  async handleKeypress(str, key) {
+    if (!key) return;
+
+    switch (key.name) {
+      case 'up':
+        this.currentIndex = Math.max(0, this.currentIndex - 1);
+        this.immediateRender();
+        break;
+
+      case 'down':
+        this.currentIndex = Math.min(this.visibleItems.length - 1, this.currentIndex + 1);
+        this.immediateRender();
+        break;
+
+      case 'pageup':
+        this.currentIndex = Math.max(0, this.currentIndex - 10);
+        this.immediateRender();
+        break;
+
+      case 'pagedown':
+        this.currentIndex = Math.min(this.visibleItems.length - 1, this.currentIndex + 10);
+        this.immediateRender();
+        break;
+
+      case 'home':
+        this.currentIndex = 0;
+        this.immediateRender();
+        break;
+
+      case 'end':
+        this.currentIndex = this.visibleItems.length - 1;
+        this.immediateRender();
+        break;
+
+      case 'left':
+        await this.handleLeftArrow();
+        break;
+
+      case 'right':
+        await this.handleRightArrow();
+        break;
+
+      case 'space':
+        await this.handleSpaceReset();
+        break;
+
+      case 'return':
+      case 'enter':
+        if (this.selectedForDeletion.size > 0) {
+          this.actionResolver('delete');
+        }
+        break;
+
+      case 'i':
+        this.actionResolver('view_ignored');
+        break;
+
+      case 'q':
+        this.actionResolver('back');
+        break;
+
+      case 'c':
+        if (key.ctrl) {
+          this.actionResolver('back');
+        }
+        break;
+    }
+  }
+
+  async handleLeftArrow() {
+    const item = this.visibleItems[this.currentIndex];
+    if (!item) return;
+
+    if (!this.ignoreList.isIgnored(item.key)) {
+      await this.ignoreList.addToIgnore(item.key);
+      this.selectedForDeletion.delete(item.key);
+
+      // Show brief feedback, then rebuild the list without the ignored item
+      process.stdout.write(chalk.yellow(`\n🙈 Ignored: ${item.key}`));
+      setTimeout(() => {
+        this.actionResolver('continue');
+      }, 500);
+    }
+  }
+
+  async handleRightArrow() {
+    const item = this.visibleItems[this.currentIndex];
+    if (!item) return;
+
+    if (!this.selectedForDeletion.has(item.key)) {
+      this.selectedForDeletion.add(item.key);
+      await this.ignoreList.removeFromIgnore(item.key);
+
+      // Show brief feedback
+      process.stdout.write(chalk.red(`\n❌ Marked for deletion: ${item.key}`));
+      setTimeout(() => {
+        this.actionResolver('continue');
+      }, 500);
+    }
+  }
+
+  async handleSpaceReset() {
+    const item = this.visibleItems[this.currentIndex];
+    if (!item) return;
+
+    const wasMarked = this.selectedForDeletion.has(item.key);
+    const wasIgnored = this.ignoreList.isIgnored(item.key);
+
+    if (wasMarked || wasIgnored) {
+      this.selectedForDeletion.delete(item.key);
+      await this.ignoreList.removeFromIgnore(item.key);
+
+      // Show brief feedback
+      process.stdout.write(chalk.blue(`\n📋 Reset to neutral: ${item.key}`));
+      setTimeout(() => {
+        this.actionResolver('continue');
+      }, 500);
+    }
+  }
+
+  cleanup() {
+    if (process.stdin.setRawMode) {
+      process.stdin.setRawMode(false);
+    }
+    process.stdin.pause();
+    process.stdin.removeAllListeners('keypress');
+  }
+
+  getSelectedForDeletion() {
+    return this.selectedForDeletion;
+  }
+}
+
+module.exports = FileKeyboardNavigation;
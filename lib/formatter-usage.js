@@ -0,0 +1,149 @@
+const fs = require('fs-extra');
+const path = require('path');
+const glob = require('fast-glob');
+
+// exports.myFormatter = function (value) { ... }
+const SERVER_FORMATTER_PATTERN = /\b(?:module\.)?exports\.(\w+)\s*=/g;
+// dmx.Formatter('string', 'myFormatter', function (value) { ... })
+const CLIENT_FORMATTER_PATTERN = /\bdmx\.Formatter\s*\(\s*['"]\w+['"]\s*,\s*['"](\w+)['"]/g;
+// dmx.Formatters('string', { myFormatter: function (value) { ... }, other(value) { ... } })
+const CLIENT_FORMATTERS_PATTERN = /\bdmx\.Formatters\s*\(\s*['"]\w+['"]\s*,\s*\{/g;
+
+const DMX_ATTRIBUTE_PATTERN = /\bdmx-[\w:.-]+\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const TEXT_EXPRESSION_PATTERN = /\{\{([\s\S]*?)\}\}/g;
+const FORMATTER_CALL_PATTERN = /\.(\w+)\s*\(/g;
+
+class FormatterUsageDetector {
+  constructor(projectRoot, target, models) {
+    this.projectRoot = projectRoot;
+    this.target = target;
+    this.models = models;
+  }
+
+  async findUnusedFormatters() {
+    const serverFormatters = await this.collectFormatters('extensions/server_connect/formatters/**/*.js', 'server', content =>
+      this.matchDefinitions(content, SERVER_FORMATTER_PATTERN));
+    const clientFormatters = await this.collectFormatters('public/js/**/*.js', 'client', content =>
+      [...this.matchDefinitions(content, CLIENT_FORMATTER_PATTERN), ...this.matchFormatterObjects(content)]);
+
+    if (serverFormatters.length === 0 && clientFormatters.length === 0) return [];
+
+    // Server formatters run in step expressions, client formatters in page expressions
+    const serverCalls = this.collectServerCalls();
+    const clientCalls = clientFormatters.length > 0 ? await this.collectClientCalls() : new Set();
+
+    const unused = [
+      ...serverFormatters.filter(formatter => !serverCalls.has(formatter.name)),
+      ...clientFormatters.filter(formatter => !clientCalls.has(formatter.name))
+    ];
+
+    // A file whose formatters are all unused can go as a whole
+    const countByFile = new Map();
+    for (const formatter of [...serverFormatters, ...clientFormatters]) {
+      countByFile.set(formatter.path, (countByFile.get(formatter.path) || 0) + 1);
+    }
+    return unused.map(formatter => ({
+      ...formatter,
+      fileRemovable: unused.filter(other => other.path === formatter.path).length === countByFile.get(formatter.path)
+    }));
+  }
+
+  async collectFormatters(pattern, side, findDefinitions) {
+    const files = await glob(pattern, { cwd: this.projectRoot, ignore: ['**/node_modules/**'] });
+    const formatters = [];
+
+    for (const file of files) {
+      const filePath = path.join(this.projectRoot, file);
+      const content = await fs.readFile(filePath, 'utf-8');
+      for (const { name, index } of findDefinitions(content)) {
+        formatters.push({
+          name,
+          side,
+          path: filePath,
+          relativePath: file,
+          line: content.slice(0, index).split('\n').length
+        });
+      }
+    }
+
+    return formatters;
+  }
+
+  matchDefinitions(content, pattern) {
+    return Array.from(content.matchAll(pattern), match => ({ name: match[1], index: match.index }));
+  }
+
+  matchFormatterObjects(content) {
+    // Keys at the top level of each dmx.Formatters() object; nested objects and function bodies are skipped
+    const definitions = [];
+    const keyPattern = /\s*['"]?(\w+)['"]?\s*(?::|\()/y;
+
+    for (const match of content.matchAll(CLIENT_FORMATTERS_PATTERN)) {
+      let depth = 0;
+      let quote = null;
+      for (let index = match.index + match[0].length - 1; index < content.length; index++) {
+        const char = content[index];
+        if (quote) {
+          if (char === '\\') index++;
+          else if (char === quote) quote = null;
+          continue;
+        }
+        if (char === '"' || char === "'" || char === '`') {
+          quote = char;
+        } else if (char === '{' || char === '(' || char === '[') {
+          depth++;
+        } else if (char === '}' || char === ')' || char === ']') {
+          depth--;
+          if (depth === 0) break;
+        }
+
+        if (depth === 1 && (char === '{' || char === ',')) {
+          keyPattern.lastIndex = index + 1;
+          const key = keyPattern.exec(content);
+          if (key) definitions.push({ name: key[1], index: key.index + key[0].indexOf(key[1]) });
+        }
+      }
+    }
+
+    return definitions;
+  }
+
+  collectServerCalls() {
+    const calls = new Set();
+    for (const model of this.models) {
+      model.walkUsages((step, options) => {
+        for (const { value } of options) {
+          this.addCalls(calls, value);
+        }
+      });
+    }
+    return calls;
+  }
+
+  async collectClientCalls() {
+    const files = await glob(this.target.pagePatterns, {
+      cwd: this.projectRoot,
+      ignore: [...this.target.pageIgnore, '**/node_modules/**']
+    });
+
+    const calls = new Set();
+    for (const file of files) {
+      const content = await fs.readFile(path.join(this.projectRoot, file), 'utf-8');
+      for (const match of content.matchAll(DMX_ATTRIBUTE_PATTERN)) {
+        this.addCalls(calls, match[1] !== undefined ? match[1] : match[2]);
+      }
+      for (const match of content.matchAll(TEXT_EXPRESSION_PATTERN)) {
+        this.addCalls(calls, match[1]);
+      }
+    }
+    return calls;
+  }
+
+  addCalls(calls, expression) {
+    for (const match of expression.matchAll(FORMATTER_CALL_PATTERN)) {
+      calls.add(match[1]);
+    }
+  }
+}
+
+module.exports = FormatterUsageDetector;
@@ -0,0 +1,102 @@
+const ActionModel = require('./action-model');
+
+// Input collections a server action declares in its meta and reads in step expressions
+const INPUT_SOURCES = ['$_GET', '$_POST', '$_PARAM'];
+
+// $_GET.id, $_POST.user.email (top-level name only), $_PARAM['name']
+const INPUT_PATTERN = /(\$_(?:GET|POST|PARAM))(?:\.([A-Za-z_]\w*)|\[\s*['"]([^'"]+)['"]\s*\])?/g;
+
+class InputLinter {
+  constructor(serverActions) {
+    this.serverActions = serverActions;
+  }
+
+  lint() {
+    const issues = [];
+
+    for (const [urlPath, action] of this.serverActions) {
+      const declared = this.getDeclaredInputs(action.model.meta);
+      const used = this.getUsedInputs(action.model);
+
+      const unused = [];
+      for (const [source, names] of declared) {
+        const usage = used.get(source);
+        // Passing the whole collection on ({{$_POST}}) counts as using every input in it
+        if (usage && usage.wholeCollection) continue;
+        for (const name of names) {
+          if (!usage || !usage.names.has(name)) {
+            unused.push({ source, name });
+          }
+        }
+      }
+
+      const undeclared = [];
+      for (const [source, usage] of used) {
+        const names = declared.get(source) || new Set();
+        for (const [name, steps] of usage.names) {
+          if (!names.has(name) && steps.length > 0) {
+            undeclared.push({ source, name, steps });
+          }
+        }
+      }
+
+      if (unused.length > 0 || undeclared.length > 0) {
+        issues.push({
+          urlPath,
+          filePath: action.filePath,
+          relativePath: action.relativePath,
+          unused,
+          undeclared
+        });
+      }
+    }
+
+    return issues;
+  }
+
+  getDeclaredInputs(meta) {
+    const declared = new Map();
+    for (const source of INPUT_SOURCES) {
+      if (!Array.isArray(meta[source])) continue;
+      const names = meta[source]
+        .filter(input => input && typeof input.name === 'string' && input.name)
+        .map(input => input.name);
+      declared.set(source, new Set(names));
+    }
+    return declared;
+  }
+
+  getUsedInputs(model) {
+    // source -> { wholeCollection, names: name -> enabled steps reading it };
+    // a disabled step keeps a declared input in use but does not make an undeclared one an issue
+    const used = new Map();
+
+    model.walk(step => {
+      const stepLabel = ActionModel.getStepLabel(step);
+      for (const { value: expression } of model.getOptionStrings(step)) {
+        for (const match of expression.matchAll(INPUT_PATTERN)) {
+          const source = match[1];
+          const name = match[2] || match[3];
+          if (!used.has(source)) {
+            used.set(source, { wholeCollection: false, names: new Map() });
+          }
+          const usage = used.get(source);
+
+          if (!name) {
+            usage.wholeCollection = true;
+            continue;
+          }
+          if (!usage.names.has(name)) {
+            usage.names.set(name, []);
+          }
+          const steps = usage.names.get(name);
+          if (!step.disabled && !steps.includes(stepLabel)) steps.push(stepLabel);
+        }
+      }
+    });
+
+    return used;
+  }
+}
+
+module.exports = InputLinter;
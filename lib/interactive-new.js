@@ -5,11 +5,18 @@ const ora = require('ora');
 const fs = require('fs-extra');
 const path = require('path');
 const IgnoreList = require('./ignore-list');
+const FileIgnoreList = require('./file-ignore-list');
 const KeyboardNavigation = require('./keyboard-nav');
 const EmptyFolderDetector = require('./empty-folders');
 const RoutesScanner = require('./routes-scanner');
+const ProjectTarget = require('./project-target');
 const RoutesIgnoreList = require('./routes-ignore-list');
 const RoutesKeyboardNavigation = require('./routes-keyboard-nav');
+const ViewUsageDetector = require('./view-usage');
+const FileKeyboardNavigation = require('./file-keyboard-nav');
+const AssetUsageDetector = require('./asset-usage');
+const ExtensionUsageDetector = require('./extension-usage');
+const ModuleConfigUsageDetector = require('./module-config-usage');
 
 class InteractiveMode {
   constructor(results, options = {}) {
@@ -17,12 +24,14 @@ class InteractiveMode {
     this.options = options;
     this.selectedForDeletion = new Set();
     this.ignoreList = new IgnoreList(options.projectRoot || process.cwd());
+    this.fileIgnoreList = new FileIgnoreList(options.projectRoot || process.cwd());
     this.currentFilter = 'safe-only'; // Default to safe-to-delete only
   }
 
   async start() {
     // Wait for ignore list to load
     await this.ignoreList.loadIgnoreList();
+    await this.fileIgnoreList.loadIgnoreList();
     
     console.log(this.formatSummary());
     
@@ -48,6 +57,42 @@ class InteractiveMode {
         case 'manage_empty_folders':
           await this.manageEmptyFolders();
           break;
+        case 'manage_orphaned_views':
+          await this.manageOrphanedViews();
+          break;
+        case 'manage_unused_templates':
+          await this.manageUnusedTemplates();
+          break;
+        case 'manage_unused_assets':
+          await this.manageUnusedAssets();
+          break;
+        case 'manage_unused_extensions':
+          await this.manageUnusedExtensions();
+          break;
+        case 'manage_module_configs':
+          await this.manageModuleConfigs();
+          break;
+        case 'view_broken_references':
+          await this.viewBrokenReferences();
+          break;
+        case 'view_dormant_references':
+          await this.viewDormantReferences();
+          break;
+        case 'view_input_issues':
+          await this.viewInputIssues();
+          break;
+        case 'view_dead_steps':
+          await this.viewDeadSteps();
+          break;
+        case 'view_duplicates':
+          await this.viewDuplicates();
+          break;
+        case 'view_unused_formatters':
+          await this.viewUnusedFormatters();
+          break;
+        case 'manage_dead_clusters':
+          await this.manageDeadClusters();
+          break;
         case 'exit':
           console.log(chalk.green('Goodbye! 👋'));
           return;
@@ -59,6 +104,22 @@ class InteractiveMode {
     const { summary } = this.results;
     const ignoredCount = this.ignoreList.getIgnoredActions().length;
     const emptyFoldersCount = this.results.emptyFolders ? this.results.emptyFolders.length : 0;
+    const orphanedViewsCount = this.results.orphanedViews ? this.results.orphanedViews.length : 0;
+    const unusedTemplatesCount = this.getUnusedTemplates().length;
+    const unusedAssets = this.results.unusedAssets || [];
+    const unusedAssetsSize = AssetUsageDetector.formatSize(unusedAssets.reduce((total, asset) => total + asset.size, 0));
+    const brokenReferencesCount = this.results.brokenReferences ? this.results.brokenReferences.length : 0;
+    const dormantReferencesCount = this.results.dormantReferences ? this.results.dormantReferences.length : 0;
+    const schedules = this.results.schedules || [];
+    const brokenSchedulesCount = schedules.filter(schedule => schedule.missingTargets.length > 0).length;
+    const inputIssuesCount = this.results.inputIssues ? this.results.inputIssues.length : 0;
+    const deadStepsCount = this.countDeadSteps();
+    const duplicatesCount = this.results.duplicates ? this.results.duplicates.length : 0;
+    const unusedExtensionsCount = this.results.unusedExtensions ? this.results.unusedExtensions.length : 0;
+    const unusedDependenciesCount = this.results.unusedExtensionDependencies ? this.results.unusedExtensionDependencies.length : 0;
+    const unusedFormattersCount = this.results.unusedFormatters ? this.results.unusedFormatters.length : 0;
+    const moduleConfigs = this.results.moduleConfigs || [];
+    const unusedModuleConfigsCount = moduleConfigs.filter(config => config.deletable).length;
     
     return `
 ${chalk.blue.bold('📊 Scan Results Summary')}
@@ -66,8 +127,21 @@ ${chalk.blue.bold('📊 Scan Results Summary')}
 ${chalk.green('✅ Used actions:')} ${summary.used}
 ${chalk.yellow('⚠️  Possibly unused:')} ${summary.possiblyUnused}  
 ${chalk.red('🗑️  Likely unused:')} ${summary.likelyUnused}
+${chalk.blue('🔌 Socket/webhook handlers:')} ${summary.externalEntries || 0}
 ${chalk.gray('🙈 Ignored actions:')} ${ignoredCount}
 ${chalk.yellow('📁 Empty folders:')} ${emptyFoldersCount}
+${chalk.yellow('📄 Orphaned views:')} ${orphanedViewsCount}
+${chalk.yellow('🎨 Unused layouts/partials:')} ${unusedTemplatesCount}
+${chalk.yellow('🖼️  Unused assets:')} ${unusedAssets.length} (${unusedAssetsSize})
+${chalk.yellow('🧩 Unused extension modules:')} ${unusedExtensionsCount} (${unusedDependenciesCount} npm packages only they need)
+${chalk.yellow('🔣 Unused formatters:')} ${unusedFormattersCount}
+${chalk.yellow('⚙️  Module configs:')} ${moduleConfigs.length} (${unusedModuleConfigsCount} unused)
+${chalk.red('🔗 Broken references:')} ${brokenReferencesCount}
+${chalk.gray('💤 Dormant references:')} ${dormantReferencesCount}
+${chalk.blue('⏰ Schedules:')} ${schedules.length} (${brokenSchedulesCount} with missing targets)
+${chalk.yellow('🧾 Actions with input issues:')} ${inputIssuesCount}
+${chalk.yellow('🪦 Dead steps:')} ${deadStepsCount}
+${chalk.yellow('👯 Duplicate action groups:')} ${duplicatesCount}
 ${chalk.gray('━'.repeat(40))}
 ${chalk.bold('Total actions:')} ${summary.totalActions}
 `;
@@ -76,6 +150,19 @@ ${chalk.bold('Total actions:')} ${summary.totalActions}
   async showMainMenu() {
     const ignoredCount = this.ignoreList.getIgnoredActions().length;
     const emptyFoldersCount = this.results.emptyFolders ? this.results.emptyFolders.length : 0;
+    const orphanedViewsCount = this.results.orphanedViews ? this.results.orphanedViews.length : 0;
+    const unusedTemplatesCount = this.getUnusedTemplates().length;
+    const unusedAssetsCount = this.results.unusedAssets ? this.results.unusedAssets.length : 0;
+    const unusedExtensionsCount = this.results.unusedExtensions ? this.results.unusedExtensions.length : 0;
+    const unusedFormattersCount = this.results.unusedFormatters ? this.results.unusedFormatters.length : 0;
+    const moduleConfigs = this.results.moduleConfigs || [];
+    const unusedModuleConfigsCount = moduleConfigs.filter(config => config.deletable).length;
+    const brokenReferencesCount = this.results.brokenReferences ? this.results.brokenReferences.length : 0;
+    const dormantReferencesCount = this.results.dormantReferences ? this.results.dormantReferences.length : 0;
+    const deadClustersCount = this.results.deadClusters ? this.results.deadClusters.length : 0;
+    const inputIssuesCount = this.results.inputIssues ? this.results.inputIssues.length : 0;
+    const deadStepsCount = this.countDeadSteps();
+    const duplicatesCount = this.results.duplicates ? this.results.duplicates.length : 0;
     
     const choices = [
       {
@@ -92,6 +179,55 @@ ${chalk.bold('Total actions:')} ${summary.totalActions}
       }
     ];
 
+    if (deadClustersCount > 0) {
+      choices.push({
+        name: `${chalk.red('🔁')} Delete dead clusters (${deadClustersCount})`,
+        value: 'manage_dead_clusters'
+      });
+    }
+
+    if (brokenReferencesCount > 0) {
+      choices.push({
+        name: `${chalk.red('🔗')} View broken references (${brokenReferencesCount})`,
+        value: 'view_broken_references'
+      });
+    }
+
+    if (dormantReferencesCount > 0) {
+      choices.push({
+        name: `${chalk.gray('💤')} View dormant references (${dormantReferencesCount})`,
+        value: 'view_dormant_references'
+      });
+    }
+
+    if (inputIssuesCount > 0) {
+      choices.push({
+        name: `${chalk.yellow('🧾')} View input parameter issues (${inputIssuesCount})`,
+        value: 'view_input_issues'
+      });
+    }
+
+    if (deadStepsCount > 0) {
+      choices.push({
+        name: `${chalk.yellow('🪦')} View dead steps inside actions (${deadStepsCount})`,
+        value: 'view_dead_steps'
+      });
+    }
+
+    if (unusedFormattersCount > 0) {
+      choices.push({
+        name: `${chalk.yellow('🔣')} View unused formatters (${unusedFormattersCount})`,
+        value: 'view_unused_formatters'
+      });
+    }
+
+    if (duplicatesCount > 0) {
+      choices.push({
+        name: `${chalk.yellow('👯')} View duplicate actions (${duplicatesCount} groups)`,
+        value: 'view_duplicates'
+      });
+    }
+
     if (ignoredCount > 0) {
       choices.push({
         name: `${chalk.gray('🙈')} View ignored actions (${ignoredCount})`,
@@ -108,6 +244,45 @@ ${chalk.bold('Total actions:')} ${summary.totalActions}
       value: 'manage_empty_folders'
     });
 
+    const orphanedViewsText = orphanedViewsCount > 0 ?
+      `Manage orphaned views (${orphanedViewsCount})` :
+      `Manage orphaned views (none found)`;
+    choices.push({
+      name: `${chalk.yellow('📄')} ${orphanedViewsText}`,
+      value: 'manage_orphaned_views'
+    });
+
+    const unusedTemplatesText = unusedTemplatesCount > 0 ?
+      `Manage unused layouts & partials (${unusedTemplatesCount})` :
+      `Manage unused layouts & partials (none found)`;
+    choices.push({
+      name: `${chalk.yellow('🎨')} ${unusedTemplatesText}`,
+      value: 'manage_unused_templates'
+    });
+
+    const unusedAssetsText = unusedAssetsCount > 0 ?
+      `Manage unused static assets (${unusedAssetsCount})` :
+      `Manage unused static assets (none found)`;
+    choices.push({
+      name: `${chalk.yellow('🖼️')} ${unusedAssetsText}`,
+      value: 'manage_unused_assets'
+    });
+
+    const unusedExtensionsText = unusedExtensionsCount > 0 ?
+      `Manage unused extension modules (${unusedExtensionsCount})` :
+      `Manage unused extension modules (none found)`;
+    choices.push({
+      name: `${chalk.yellow('🧩')} ${unusedExtensionsText}`,
+      value: 'manage_unused_extensions'
+    });
+
+    if (moduleConfigs.length > 0) {
+      choices.push({
+        name: `${chalk.yellow('⚙️')} Manage module configs (${moduleConfigs.length}, ${unusedModuleConfigsCount} unused)`,
+        value: 'manage_module_configs'
+      });
+    }
+
     if (this.selectedForDeletion.size > 0) {
       choices.push({
         name: `${chalk.red.bold('🚨 DELETE')} selected actions (${this.selectedForDeletion.size})`,
@@ -263,7 +438,11 @@ ${chalk.bold('Total actions:')} ${summary.totalActions}
       color = chalk.blue;
     }
     
-    return color(`${icon} ${action.urlPath} (${confidenceColor(action.confidence)} confidence, ${action.referenceCount} refs)`);
+    const dynamicCount = action.dynamicReferences ? action.dynamicReferences.length : 0;
+    const dynamicText = dynamicCount > 0 ? `, ${dynamicCount} dynamic` : '';
+    const trafficText = action.traffic ? `, ${action.traffic.hits} hits` : '';
+    const targetsText = action.deployTargets && action.deployTargets.length > 0 ? ` [${action.deployTargets.join(', ')}]` : '';
+    return color(`${icon} ${action.urlPath} (${confidenceColor(action.confidence)} confidence, score ${action.score}, ${action.referenceCount} refs${dynamicText}${trafficText})${targetsText}`);
   }
 
   getCurrentPromptIndex(listPrompt) {
@@ -458,9 +637,15 @@ ${chalk.bold('Total actions:')} ${summary.totalActions}
       
       switch (this.currentFilter) {
         case 'unused-only':
-          return action.status === 'unused';
+          return action.status !== 'used';
+        case 'review-only':
+          return action.confidence === 'review-needed';
         case 'safe-only':
           return action.confidence === 'safe-to-delete';
+        case 'dynamic-only':
+          return action.status === 'possibly-referenced';
+        case 'external-only':
+          return action.category === 'socket' || action.category === 'webhook';
         case 'all':
         default:
           return true;
@@ -649,8 +834,11 @@ ${chalk.bold('Total actions:')} ${summary.totalActions}
         message: 'Choose filter:',
         choices: [
           { name: 'All actions (non-ignored)', value: 'all' },
-          { name: 'Unused actions only', value: 'unused-only' },
-          { name: 'Safe to delete only (0 references)', value: 'safe-only' }
+          { name: 'Unused actions only (safe + review needed)', value: 'unused-only' },
+          { name: 'Review needed only (grey zone)', value: 'review-only' },
+          { name: 'Possibly referenced (dynamic URLs)', value: 'dynamic-only' },
+          { name: 'Socket & webhook handlers', value: 'external-only' },
+          { name: 'Safe to delete only (unreachable)', value: 'safe-only' }
         ],
         default: this.currentFilter
       }
@@ -733,6 +921,54 @@ ${chalk.bold('Total actions:')} ${summary.totalActions}
     }
   }
 
+  async viewIgnoredFiles() {
+    const ignoredFiles = this.fileIgnoreList.getIgnoredFiles();
+    
+    if (ignoredFiles.length === 0) {
+      console.log(chalk.green('\n🎉 No files are being ignored!\n'));
+      return;
+    }
+
+    const choices = ignoredFiles.map(relativePath => ({
+      name: `${chalk.gray('🙈')} ${relativePath}`,
+      value: relativePath
+    }));
+
+    choices.push(
+      new inquirer.Separator(),
+      {
+        name: chalk.cyan('↩️  Back'),
+        value: '__BACK__'
+      }
+    );
+
+    const { selected } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'selected',
+        message: 'Ignored files (select to unignore):',
+        choices,
+        pageSize: 15
+      }
+    ]);
+
+    if (selected.includes('__BACK__') || selected.length === 0) {
+      return;
+    }
+
+    const spinner = ora('Removing from ignore list...').start();
+    
+    try {
+      for (const relativePath of selected) {
+        await this.fileIgnoreList.removeFromIgnore(relativePath);
+      }
+      spinner.succeed(`Removed ${selected.length} files from ignore list`);
+    } catch (error) {
+      spinner.fail('Failed to update ignore list');
+      console.error(chalk.red(error.message));
+    }
+  }
+
   async manageEmptyFolders() {
     const emptyFolders = this.results.emptyFolders || [];
     
@@ -795,7 +1031,7 @@ ${chalk.bold('Total actions:')} ${summary.totalActions}
 
     // Delete folders
     const spinner = ora('Deleting empty folders...').start();
-    const emptyFolderDetector = new EmptyFolderDetector(this.options.projectRoot || process.cwd());
+    const emptyFolderDetector = new EmptyFolderDetector(this.options.projectRoot || process.cwd(), this.options.config);
     
     try {
       const results = await emptyFolderDetector.deleteEmptyFolders(foldersToDelete);
@@ -820,6 +1056,431 @@ ${chalk.bold('Total actions:')} ${summary.totalActions}
     }
   }
 
+  async manageOrphanedViews() {
+    const orphanedViews = this.results.orphanedViews || [];
+    
+    if (orphanedViews.length === 0) {
+      console.log(chalk.green('\n🎉 No orphaned views found! Every page is reached by a route, link or include.\n'));
+      return;
+    }
+
+    const viewUsageDetector = new ViewUsageDetector(this.options.projectRoot || process.cwd());
+    const items = orphanedViews.map(view => ({
+      key: view.relativePath,
+      path: view.path,
+      label: view.referencedBy.length > 0 ?
+        `${view.relativePath} ${chalk.gray(`(only from ${view.referencedBy.join(', ')})`)}` :
+        view.relativePath
+    }));
+
+    const deletedPaths = await this.manageFileItems({
+      title: '📄 Orphaned Views Management',
+      items,
+      deleteFiles: (paths) => viewUsageDetector.deleteViews(paths)
+    });
+
+    this.results.orphanedViews = orphanedViews.filter(view => !deletedPaths.includes(view.path));
+  }
+
+  getUnusedTemplates() {
+    return [...(this.results.unusedLayouts || []), ...(this.results.unusedPartials || [])];
+  }
+
+  async manageUnusedTemplates() {
+    const unusedTemplates = this.getUnusedTemplates();
+    
+    if (unusedTemplates.length === 0) {
+      console.log(chalk.green('\n🎉 No unused layouts or partials found!\n'));
+      return;
+    }
+
+    const viewUsageDetector = new ViewUsageDetector(this.options.projectRoot || process.cwd());
+    const items = unusedTemplates.map(template => ({
+      key: template.relativePath,
+      path: template.path,
+      label: template.referencedBy.length > 0 ?
+        `${template.relativePath} ${chalk.gray(`(only from ${template.referencedBy.join(', ')})`)}` :
+        template.relativePath
+    }));
+
+    const deletedPaths = await this.manageFileItems({
+      title: '🎨 Unused Layouts & Partials Management',
+      items,
+      deleteFiles: (paths) => viewUsageDetector.deleteViews(paths)
+    });
+
+    this.results.unusedLayouts = (this.results.unusedLayouts || []).filter(layout => !deletedPaths.includes(layout.path));
+    this.results.unusedPartials = (this.results.unusedPartials || []).filter(partial => !deletedPaths.includes(partial.path));
+  }
+
+  async manageUnusedAssets() {
+    const unusedAssets = this.results.unusedAssets || [];
+    
+    if (unusedAssets.length === 0) {
+      console.log(chalk.green('\n🎉 No unused static assets found!\n'));
+      return;
+    }
+
+    const assetUsageDetector = new AssetUsageDetector(this.options.projectRoot || process.cwd());
+    const items = unusedAssets.map(asset => ({
+      key: asset.relativePath,
+      path: asset.path,
+      label: `${asset.relativePath} ${chalk.gray(`(${AssetUsageDetector.formatSize(asset.size)})`)}`
+    }));
+
+    const deletedPaths = await this.manageFileItems({
+      title: '🖼️ Unused Static Assets Management',
+      items,
+      deleteFiles: (paths) => assetUsageDetector.deleteAssets(paths)
+    });
+
+    this.results.unusedAssets = unusedAssets.filter(asset => !deletedPaths.includes(asset.path));
+  }
+
+  async manageUnusedExtensions() {
+    const unusedExtensions = this.results.unusedExtensions || [];
+    const dependencies = this.results.unusedExtensionDependencies || [];
+    
+    if (unusedExtensions.length === 0) {
+      console.log(chalk.green('\n🎉 No unused extension modules found!\n'));
+      return;
+    }
+
+    const extensionUsageDetector = new ExtensionUsageDetector(this.options.projectRoot || process.cwd(), []);
+    const items = unusedExtensions.map(extension => ({
+      key: extension.relativePath,
+      path: extension.path,
+      label: `${extension.files.join(' + ')} ${chalk.gray(`(${extension.actions.join(', ') || 'no actions'})`)}`
+    }));
+
+    const deletedPaths = await this.manageFileItems({
+      title: '🧩 Unused Server Connect Extension Modules',
+      items,
+      deleteFiles: (paths) => extensionUsageDetector.deleteExtensions(paths)
+    });
+
+    this.results.unusedExtensions = unusedExtensions.filter(extension => !deletedPaths.includes(extension.path));
+
+    // A package can only go once every module requiring it is gone
+    const remainingFiles = new Set(this.results.unusedExtensions.map(extension => extension.relativePath));
+    const removable = dependencies.filter(dependency => dependency.requiredBy.every(file => !remainingFiles.has(file)));
+
+    if (deletedPaths.length > 0 && removable.length > 0) {
+      console.log(chalk.yellow('\n📦 npm packages only required by the deleted extension modules:'));
+      removable.forEach(dependency => {
+        console.log(`  ${chalk.yellow('📦')} ${dependency.name}@${dependency.version} ${chalk.gray(`(${dependency.requiredBy.join(', ')})`)}`);
+      });
+      console.log(chalk.blue(`\n💡 Remove them with: npm uninstall ${removable.map(dependency => dependency.name).join(' ')}`));
+      await this.waitForEnter();
+    }
+  }
+
+  async viewUnusedFormatters() {
+    const unusedFormatters = this.results.unusedFormatters || [];
+    
+    console.clear();
+    console.log(chalk.yellow.bold(`\n🔣 Unused Formatters (${unusedFormatters.length})\n`));
+    console.log(chalk.gray('Custom formatters no server action or page expression calls - remove their definitions:\n'));
+
+    unusedFormatters.forEach((formatter, index) => {
+      const removable = formatter.fileRemovable ? chalk.red(' (whole file unused)') : '';
+      console.log(`${chalk.gray(String(index + 1).padStart(2))}. ${chalk.cyan(formatter.name)} ${chalk.gray(`[${formatter.side}]`)} ${formatter.relativePath}:${formatter.line}${removable}`);
+    });
+
+    console.log('');
+    await this.waitForEnter();
+  }
+
+  async manageModuleConfigs() {
+    const moduleConfigs = this.results.moduleConfigs || [];
+    const unusedConfigs = moduleConfigs.filter(config => config.deletable);
+    
+    console.clear();
+    console.log(chalk.blue.bold(`\n⚙️ Module Configs (${moduleConfigs.length})\n`));
+    console.log(chalk.gray('Database connections, mailers, security providers and other app/modules configs with the actions that use them:\n'));
+
+    moduleConfigs.forEach((config, index) => {
+      const icon = config.deletable ? chalk.red('🗑️') : chalk.green('✅');
+      const protectedLabel = config.protected ? chalk.blue(' protected') : '';
+      console.log(`${chalk.gray(String(index + 1).padStart(2))}. ${icon} ${chalk.cyan(config.relativePath)} ${chalk.gray(`(${config.kind})`)}${protectedLabel}`);
+      if (config.usedBy.length === 0) {
+        console.log(chalk.gray('      not used by any step'));
+      }
+      config.usedBy.forEach(user => console.log(chalk.gray(`      ← ${user}`)));
+    });
+
+    console.log('');
+    await this.waitForEnter();
+
+    if (unusedConfigs.length === 0) {
+      return;
+    }
+
+    const moduleConfigUsageDetector = new ModuleConfigUsageDetector(this.options.projectRoot || process.cwd(), []);
+    const items = unusedConfigs.map(config => ({
+      key: config.relativePath,
+      path: config.path,
+      label: `${config.relativePath} ${chalk.gray(`(${config.kind}${config.files.length > 1 ? `, ${config.files.length - 1} target override(s)` : ''})`)}`
+    }));
+
+    const deletedPaths = await this.manageFileItems({
+      title: '⚙️ Unused Module Configs',
+      items,
+      deleteFiles: (paths) => moduleConfigUsageDetector.deleteConfigs(paths)
+    });
+
+    this.results.moduleConfigs = moduleConfigs.filter(config => !deletedPaths.includes(config.path));
+  }
+
+  async viewBrokenReferences() {
+    const brokenReferences = this.results.brokenReferences || [];
+    
+    console.clear();
+    console.log(chalk.red.bold(`\n🔗 Broken References (${brokenReferences.length})\n`));
+    console.log(chalk.gray('References to server actions that do not exist:\n'));
+
+    brokenReferences.forEach((reference, index) => {
+      const icon = reference.severity === 'critical' ? chalk.red('🚨') : chalk.yellow('⚠️');
+      const location = reference.line ? `${reference.sourceFile}:${reference.line}` : reference.sourceFile;
+      console.log(`${chalk.gray(String(index + 1).padStart(2))}. ${icon} ${chalk.cyan(location)}`);
+      console.log(chalk.gray(`      ${reference.type} → ${reference.originalReference}`));
+    });
+
+    if (brokenReferences.some(reference => reference.severity === 'critical')) {
+      console.log(chalk.red('\n🚨 Missing queue api_file targets break background jobs at runtime!'));
+    }
+
+    console.log('');
+    await this.waitForEnter();
+  }
+
+  async manageDeadClusters() {
+    const deadClusters = this.results.deadClusters || [];
+    
+    if (deadClusters.length === 0) {
+      console.log(chalk.green('\n🎉 No dead clusters found!\n'));
+      return;
+    }
+
+    // A cluster with an ignored or protected member is kept whole, deleting only the rest would break that member
+    const protectedActions = new Set(this.results.actions.filter(action => action.protected).map(action => action.urlPath));
+    const clusters = deadClusters.filter(cluster =>
+      !cluster.actions.some(urlPath => this.ignoreList.isIgnored(urlPath) || protectedActions.has(urlPath))
+    );
+    const skipped = deadClusters.length - clusters.length;
+
+    if (clusters.length === 0) {
+      console.log(chalk.gray(`\n🙈 All ${deadClusters.length} dead clusters contain ignored or protected actions.\n`));
+      return;
+    }
+
+    console.log(chalk.red(`\n🔁 Found ${clusters.length} dead clusters (actions that only call each other):\n`));
+    if (skipped > 0) {
+      console.log(chalk.gray(`🙈 ${skipped} more contain ignored or protected actions and are not listed\n`));
+    }
+
+    const choices = clusters.map((cluster, index) => ({
+      name: `${chalk.red('🔁')} ${cluster.actions.join(chalk.gray(' ↔ '))}`,
+      value: index,
+      checked: false
+    }));
+
+    const { selected } = await inquirer.prompt([
+      {
+        type: 'checkbox',
+        name: 'selected',
+        message: 'Select clusters to delete together:',
+        choices,
+        pageSize: 15
+      }
+    ]);
+
+    if (selected.length === 0) {
+      return;
+    }
+
+    // Mark every member so the whole cluster goes through the regular deletion flow
+    for (const index of selected) {
+      for (const urlPath of clusters[index].actions) {
+        this.selectedForDeletion.add(urlPath);
+      }
+    }
+
+    await this.executeDelete();
+  }
+
+  async viewDormantReferences() {
+    const dormantReferences = this.results.dormantReferences || [];
+    
+    console.clear();
+    console.log(chalk.gray.bold(`\n💤 Dormant References (${dormantReferences.length})\n`));
+    console.log(chalk.gray('References inside comments or disabled steps - they do not count as usage:\n'));
+
+    dormantReferences.forEach((reference, index) => {
+      const location = reference.line ? `${reference.sourceFile}:${reference.line}` : reference.sourceFile;
+      console.log(`${chalk.gray(String(index + 1).padStart(2))}. ${chalk.gray('💤')} ${chalk.cyan(location)}`);
+      console.log(chalk.gray(`      ${reference.type} → ${reference.targetAction}`));
+    });
+
+    console.log('');
+    await this.waitForEnter();
+  }
+
+  async viewInputIssues() {
+    const inputIssues = this.results.inputIssues || [];
+    
+    console.clear();
+    console.log(chalk.yellow.bold(`\n🧾 Input Parameter Issues (${inputIssues.length})\n`));
+    console.log(chalk.gray('Inputs declared in meta that no step reads, and inputs steps read without declaring them:\n'));
+
+    inputIssues.forEach((issue, index) => {
+      console.log(`${chalk.gray(String(index + 1).padStart(2))}. ${chalk.cyan(issue.urlPath)} ${chalk.gray(issue.relativePath)}`);
+      issue.unused.forEach(input => {
+        console.log(chalk.yellow(`      unused      ${input.source}.${input.name}`));
+      });
+      issue.undeclared.forEach(input => {
+        console.log(chalk.red(`      undeclared  ${input.source}.${input.name}`) + chalk.gray(` in ${input.steps.join(', ')}`));
+      });
+    });
+
+    console.log('');
+    await this.waitForEnter();
+  }
+
+  countDeadSteps() {
+    return (this.results.deadSteps || []).reduce((total, finding) => total + finding.steps.length, 0);
+  }
+
+  async viewDeadSteps() {
+    const deadSteps = this.results.deadSteps || [];
+    
+    console.clear();
+    console.log(chalk.yellow.bold(`\n🪦 Dead Steps (${this.countDeadSteps()} in ${deadSteps.length} actions)\n`));
+    console.log(chalk.gray('Unreachable steps, empty conditions and query results nothing reads, inside actions that are still in use:\n'));
+
+    deadSteps.forEach((finding, index) => {
+      console.log(`${chalk.gray(String(index + 1).padStart(2))}. ${chalk.cyan(finding.urlPath)} ${chalk.gray(finding.relativePath)}`);
+      finding.steps.forEach(step => {
+        console.log(`      ${chalk.yellow(step.type.padEnd(15))} ${step.step}` + chalk.gray(` - ${step.message}`));
+      });
+    });
+
+    console.log('');
+    await this.waitForEnter();
+  }
+
+  async viewDuplicates() {
+    const duplicates = this.results.duplicates || [];
+    
+    console.clear();
+    console.log(chalk.yellow.bold(`\n👯 Duplicate Actions (${duplicates.length} groups)\n`));
+    console.log(chalk.gray('Each copy is diffed against the most referenced one; consolidate callers onto a single action:\n'));
+
+    duplicates.forEach((group, index) => {
+      const label = group.kind === 'identical' ? chalk.red('identical') : chalk.yellow(`${Math.round(group.similarity * 100)}% similar`);
+      console.log(`${chalk.gray(String(index + 1).padStart(2))}. ${label} ${chalk.gray(`(${group.copies.length} copies)`)}`);
+
+      group.copies.forEach(copy => {
+        const marker = copy.urlPath === group.baseline ? chalk.green('●') : chalk.yellow('○');
+        console.log(`      ${marker} ${chalk.cyan(copy.urlPath)} ${chalk.gray(`${copy.references.length} reference(s)`)}`);
+        copy.references.slice(0, 5).forEach(reference => {
+          const location = reference.line ? `${reference.sourceFile}:${reference.line}` : reference.sourceFile;
+          console.log(chalk.gray(`          ← ${location} (${reference.type})`));
+        });
+        if (copy.references.length > 5) {
+          console.log(chalk.gray(`          ... and ${copy.references.length - 5} more`));
+        }
+        copy.diff.slice(0, 10).forEach(change => {
+          const color = change.op === '+' ? chalk.green : chalk.red;
+          console.log(color(`          ${change.op} ${change.line}`));
+        });
+        if (copy.diff.length > 10) {
+          console.log(chalk.gray(`          ... and ${copy.diff.length - 10} more changed lines`));
+        }
+      });
+      console.log('');
+    });
+
+    await this.waitForEnter();
+  }
+
+  async manageFileItems({ title, items, deleteFiles }) {
+    const fileKeyboardNav = new FileKeyboardNavigation(this, { title, items, ignoreList: this.fileIgnoreList });
+    const deletedPaths = [];
+    
+    while (true) {
+      const result = await fileKeyboardNav.start();
+      
+      if (result === 'back') {
+        break;
+      } else if (result === 'delete') {
+        const selectedItems = fileKeyboardNav.items.filter(item => fileKeyboardNav.selectedForDeletion.has(item.key));
+        const deleted = await this.executeFileDelete(selectedItems, deleteFiles);
+        fileKeyboardNav.selectedForDeletion.clear();
+        fileKeyboardNav.items = fileKeyboardNav.items.filter(item => !deleted.includes(item.path));
+        deletedPaths.push(...deleted);
+      } else if (result === 'view_ignored') {
+        await this.viewIgnoredFiles();
+      }
+    }
+
+    return deletedPaths;
+  }
+
+  async executeFileDelete(items, deleteFiles) {
+    console.clear();
+    console.log(chalk.red.bold(`\n🚨 DELETION CONFIRMATION\n`));
+    console.log(chalk.red.bold(`You're about to delete ${items.length} files:`));
+    console.log(chalk.blue.bold(`\n⚠️ IMPORTANT: Make sure you have committed your changes to git for backup!\n`));
+    
+    items.slice(0, 10).forEach((item, index) => {
+      console.log(`${chalk.gray(String(index + 1).padStart(2))}. ${chalk.red('❌')} ${item.key}`);
+    });
+    
+    if (items.length > 10) {
+      console.log(chalk.gray(`    ... and ${items.length - 10} more files`));
+    }
+
+    const { confirm } = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'confirm',
+        message: chalk.red.bold('This cannot be undone. Are you ABSOLUTELY SURE?'),
+        default: false
+      }
+    ]);
+
+    if (!confirm) {
+      console.log(chalk.green('\n✅ Deletion cancelled\n'));
+      await this.waitForEnter();
+      return [];
+    }
+
+    const spinner = ora('Deleting files...').start();
+    
+    try {
+      const results = await deleteFiles(items.map(item => item.path));
+      
+      if (results.errors.length === 0) {
+        spinner.succeed(`Successfully deleted ${results.deleted.length} files`);
+      } else {
+        spinner.warn(`Deleted ${results.deleted.length} files, ${results.errors.length} failed`);
+        console.log(chalk.yellow('\nErrors:'));
+        results.errors.forEach(error => console.log(chalk.red(`  • ${error.path}: ${error.error}`)));
+      }
+
+      console.log(chalk.blue('\n💡 Tip: Use "git status" to see what was deleted'));
+      console.log(chalk.blue('💡 If you need to restore, use "git checkout HEAD -- <filepath>"'));
+      await this.waitForEnter();
+      return results.deleted;
+    } catch (error) {
+      spinner.fail('Deletion failed');
+      console.error(chalk.red(error.message));
+      await this.waitForEnter();
+      return [];
+    }
+  }
+
   async exportResults() {
     const { filename } = await inquirer.prompt([
       {
@@ -836,6 +1497,7 @@ ${chalk.bold('Total actions:')} ${summary.totalActions}
       const exportData = {
         ...this.results,
         ignoredActions: this.ignoreList.getIgnoredActions(),
+        ignoredFiles: this.fileIgnoreList.getIgnoredFiles(),
         selectedForDeletion: Array.from(this.selectedForDeletion),
         exportedAt: new Date().toISOString()
       };
@@ -850,6 +1512,15 @@ ${chalk.bold('Total actions:')} ${summary.totalActions}
   }
 
   async executeDelete() {
+    // Paths protected in .wapplercleanuprc are never deleted, even when marked by hand
+    for (const urlPath of this.selectedForDeletion) {
+      const action = this.results.actions.find(a => a.urlPath === urlPath);
+      if (action && action.protected) {
+        this.selectedForDeletion.delete(urlPath);
+        console.log(chalk.yellow(`🔒 Skipping protected action ${urlPath}`));
+      }
+    }
+
     if (this.selectedForDeletion.size === 0) {
       console.log(chalk.yellow('\n⚠️ No actions selected for deletion\n'));
       return;
@@ -864,7 +1535,7 @@ ${chalk.bold('Total actions:')} ${summary.totalActions}
     const actions = Array.from(this.selectedForDeletion).slice(0, 10);
     actions.forEach((urlPath, index) => {
       const action = this.results.actions.find(a => a.urlPath === urlPath);
-      console.log(`${chalk.gray(String(index + 1).padStart(2))}. ${chalk.red('❌')} ${action.filePath}`);
+      console.log(`${chalk.gray(String(index + 1).padStart(2))}. ${chalk.red('❌')} ${(action.files || [action.filePath]).join(chalk.gray(' + '))}`);
     });
     
     if (this.selectedForDeletion.size > 10) {
@@ -896,26 +1567,29 @@ ${chalk.bold('Total actions:')} ${summary.totalActions}
       
       for (const urlPath of this.selectedForDeletion) {
         const action = this.results.actions.find(a => a.urlPath === urlPath);
-        const filePath = path.join(this.options.projectRoot || process.cwd(), action.filePath);
         
-        try {
-          if (await fs.pathExists(filePath)) {
-            await fs.remove(filePath);
-            deletedCount++;
+        // PHP and ASP.NET endpoints go together with their companion JSON definition
+        for (const actionFile of action.files || [action.filePath]) {
+          const filePath = path.join(this.options.projectRoot || process.cwd(), actionFile);
+          try {
+            if (await fs.pathExists(filePath)) {
+              await fs.remove(filePath);
+              deletedCount++;
+            }
+          } catch (error) {
+            errors.push(`${actionFile}: ${error.message}`);
           }
-        } catch (error) {
-          errors.push(`${action.filePath}: ${error.message}`);
         }
       }
 
       spinner.text = 'Scanning for empty folders...';
       
       // Find and offer to delete empty folders
-      const emptyFolderDetector = new EmptyFolderDetector(this.options.projectRoot || process.cwd());
+      const emptyFolderDetector = new EmptyFolderDetector(this.options.projectRoot || process.cwd(), this.options.config);
       const emptyFolders = await emptyFolderDetector.findEmptyFolders();
       
       if (errors.length === 0) {
-        spinner.succeed(`Successfully deleted ${deletedCount} server actions`);
+        spinner.succeed(`Successfully deleted ${this.selectedForDeletion.size} server actions (${deletedCount} files)`);
       } else {
         spinner.warn(`Deleted ${deletedCount} files, but ${errors.length} failed`);
         console.log(chalk.yellow('\nErrors:'));
@@ -961,11 +1635,16 @@ ${chalk.bold('Total actions:')} ${summary.totalActions}
       this.results.actions = this.results.actions.filter(action => 
         !this.selectedForDeletion.has(action.urlPath)
       );
+      this.results.deadClusters = (this.results.deadClusters || []).filter(cluster =>
+        !cluster.actions.some(urlPath => this.selectedForDeletion.has(urlPath))
+      );
       
       // Update summary counts
       this.results.summary.totalActions = this.results.actions.length;
       this.results.summary.likelyUnused = this.results.actions.filter(a => a.confidence === 'safe-to-delete').length;
-      this.results.summary.used = this.results.actions.filter(a => a.confidence === 'review-needed').length;
+      this.results.summary.possiblyUnused = this.results.actions.filter(a => a.confidence === 'review-needed' && a.status !== 'external-entry').length;
+      this.results.summary.externalEntries = this.results.actions.filter(a => a.status === 'external-entry').length;
+      this.results.summary.used = this.results.actions.filter(a => a.confidence === 'in-use').length;
 
       // Clear selection
       this.selectedForDeletion.clear();
@@ -983,6 +1662,8 @@ ${chalk.bold('Total actions:')} ${summary.totalActions}
     switch (status) {
       case 'used': return chalk.green('✅');
       case 'possibly-unused': return chalk.yellow('⚠️');
+      case 'possibly-referenced': return chalk.yellow('🔀');
+      case 'external-entry': return chalk.blue('🔌');
       case 'likely-unused': return chalk.red('🗑️');
       default: return '❓';
     }
@@ -991,7 +1672,8 @@ ${chalk.bold('Total actions:')} ${summary.totalActions}
   getConfidenceColor(confidence) {
     switch (confidence) {
       case 'safe-to-delete': return chalk.red;
-      case 'review-needed': return chalk.green;
+      case 'review-needed': return chalk.yellow;
+      case 'in-use': return chalk.green;
       default: return chalk.gray;
     }
   }
@@ -1006,7 +1688,8 @@ ${chalk.bold('Total actions:')} ${summary.totalActions}
     console.log(chalk.gray('Scanning routes.json for routes that reference missing files...\n'));
 
     try {
-      const routesScanner = new RoutesScanner(this.options.projectRoot || process.cwd());
+      const target = this.results.target ? new ProjectTarget(this.results.target) : null;
+      const routesScanner = new RoutesScanner(this.options.projectRoot || process.cwd(), target);
       const routesIgnoreList = new RoutesIgnoreList(this.options.projectRoot || process.cwd());
       await routesIgnoreList.loadIgnoreList();
       
@@ -29,6 +29,7 @@ class KeyboardNavigation {
       
       if (this.actions.length === 0) {
         console.log(chalk.yellow('\nNo actions to show with current filter.\n'));
+        this.cleanup();
         return 'back';
       }
 
@@ -92,6 +93,16 @@ class KeyboardNavigation {
       console.log(chalk.gray(`\nPage ${currentPage}/${totalPages} | Total: ${this.actions.length} actions`));
     }
 
+    // Explain the score of the highlighted action
+    const currentAction = this.actions[this.currentIndex];
+    if (currentAction && currentAction.reasons) {
+      console.log(chalk.gray(`\n🔎 Why ${currentAction.status} (score ${currentAction.score}):`));
+      currentAction.reasons.slice(0, 5).forEach(reason => console.log(chalk.gray(`   • ${reason}`)));
+      if (currentAction.reasons.length > 5) {
+        console.log(chalk.gray(`   ... and ${currentAction.reasons.length - 5} more`));
+      }
+    }
+
     // Show summary counts
     const markedCount = this.actions.filter(a => this.interactive.selectedForDeletion.has(a.urlPath)).length;
     const totalIgnoredCount = this.interactive.ignoreList.getIgnoredActions().length;
@@ -137,7 +148,11 @@ class KeyboardNavigation {
       color = chalk.blue;
     }
     
-    const line = `${icon} ${action.urlPath} (${confidenceColor(action.confidence)} confidence, ${action.referenceCount} refs)`;
+    const dynamicCount = action.dynamicReferences ? action.dynamicReferences.length : 0;
+    const dynamicText = dynamicCount > 0 ? `, ${dynamicCount} dynamic` : '';
+    const trafficText = action.traffic ? `, ${action.traffic.hits} hits` : '';
+    const targetsText = action.deployTargets && action.deployTargets.length > 0 ? ` [${action.deployTargets.join(', ')}]` : '';
+    const line = `${icon} ${action.urlPath} (${confidenceColor(action.confidence)} confidence, score ${action.score}, ${action.referenceCount} refs${dynamicText}${trafficText})${targetsText}`;
     
     if (isSelected) {
       console.log(chalk.bgWhite.black(`► ${line}`));
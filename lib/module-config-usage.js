@@ -0,0 +1,133 @@
+const fs = require('fs-extra');
+const path = require('path');
+const glob = require('fast-glob');
+const ActionModel = require('./action-model');
+
+const MODULES_DIR = 'app/modules';
+
+// Config folders under app/modules and the step option that names a config, e.g. "connection": "db"
+const MODULE_CONFIGS = {
+  connections: { kind: 'database connection', keys: ['connection'] },
+  Mailer: { kind: 'mailer', keys: ['instance'] },
+  SecurityProviders: { kind: 'security provider', keys: ['provider'] },
+  s3: { kind: 'S3 storage', keys: ['provider'] },
+  oauth: { kind: 'OAuth provider', keys: ['provider'] }
+};
+
+// Folders Wappler adds later (upload targets, payment providers, ...) are matched on any of these
+const DEFAULT_KEYS = ['connection', 'instance', 'provider'];
+
+class ModuleConfigUsageDetector {
+  constructor(projectRoot, sources) {
+    this.projectRoot = projectRoot;
+    this.sources = sources;
+  }
+
+  async findModuleConfigs() {
+    const files = await glob(`${MODULES_DIR}/*/*.json`, { cwd: this.projectRoot });
+    const configs = [];
+
+    for (const file of files) {
+      const filePath = path.join(this.projectRoot, file);
+      let content;
+      try {
+        content = await fs.readJson(filePath);
+      } catch (error) {
+        continue;
+      }
+      // Folders like app/modules/api can hold server actions, those are not configs
+      if (ActionModel.isAction(content)) continue;
+
+      const dir = path.basename(path.dirname(file));
+      const { kind, keys } = MODULE_CONFIGS[dir] || { kind: `${dir} config`, keys: DEFAULT_KEYS };
+      configs.push({
+        name: path.basename(file, '.json'),
+        kind,
+        keys,
+        path: filePath,
+        relativePath: file,
+        content,
+        // Per-target overrides of the same config go with it
+        files: [file, ...await glob(`.wappler/targets/*/${file}`, { cwd: this.projectRoot, dot: true })]
+      });
+    }
+
+    const usedBy = this.collectUsage(configs);
+    return configs.map(({ keys, content, ...config }) => {
+      const users = usedBy.get(config.relativePath);
+      return { ...config, usedBy: users, deletable: users.length === 0 };
+    });
+  }
+
+  collectUsage(configs) {
+    // config -> server actions, schedules and other configs naming it
+    const usedBy = new Map(configs.map(config => [config.relativePath, []]));
+    const addUser = (config, user) => {
+      const users = usedBy.get(config.relativePath);
+      if (!users.includes(user)) users.push(user);
+    };
+
+    for (const { source, model } of this.sources) {
+      model.walkUsages((step, options) => {
+        for (const { key, value } of options) {
+          for (const config of configs) {
+            if (config.name === value && config.keys.includes(key)) addUser(config, source);
+          }
+        }
+      });
+    }
+
+    // A security provider names the database connection it reads users from
+    for (const user of configs) {
+      this.collectStrings(user.content, (key, value) => {
+        for (const config of configs) {
+          if (config !== user && config.name === value && config.keys.includes(key)) addUser(config, user.relativePath);
+        }
+      });
+    }
+
+    return usedBy;
+  }
+
+  collectStrings(value, callback, key = null) {
+    if (typeof value === 'string') {
+      callback(key, value);
+    } else if (Array.isArray(value)) {
+      value.forEach(item => this.collectStrings(item, callback, key));
+    } else if (value && typeof value === 'object') {
+      for (const [childKey, childValue] of Object.entries(value)) {
+        this.collectStrings(childValue, callback, childKey);
+      }
+    }
+  }
+
+  async deleteConfigs(configPaths) {
+    const results = {
+      deleted: [],
+      errors: []
+    };
+
+    for (const configPath of configPaths) {
+      try {
+        const relativePath = path.relative(this.projectRoot, configPath);
+        const overrides = await glob(`.wappler/targets/*/${relativePath}`, { cwd: this.projectRoot, absolute: true, dot: true });
+        for (const override of overrides) {
+          await fs.remove(override);
+        }
+        if (await fs.pathExists(configPath)) {
+          await fs.remove(configPath);
+          results.deleted.push(configPath);
+        }
+      } catch (error) {
+        results.errors.push({
+          path: configPath,
+          error: error.message
+        });
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = ModuleConfigUsageDetector;
@@ -0,0 +1,77 @@
+const fs = require('fs-extra');
+const path = require('path');
+const glob = require('fast-glob');
+
+// Packages following this naming scheme are picked up from the project's node_modules
+const PLUGIN_PACKAGE_PATTERNS = ['wappler-cleanup-plugin-*', '@*/wappler-cleanup-plugin-*'];
+
+/**
+ * A plugin is a module exporting a function that receives the plugin API:
+ *
+ *   module.exports = function (api) {
+ *     api.registerDetector({
+ *       name: 'my-component',
+ *       files: ['views/**\/*.ejs'],
+ *       weight: 30, // optional, 0-100; references score like explicit ones (60) by default
+ *       detect(content, addReference, { relativePath }) {
+ *         for (const match of content.matchAll(/my-api="([^"]+)"/g)) {
+ *           addReference(match[1], { line: ... });
+ *         }
+ *       }
+ *     });
+ *   };
+ */
+class PluginLoader {
+  constructor(projectRoot, config) {
+    this.projectRoot = projectRoot;
+    this.config = config;
+  }
+
+  async loadInto(scanner) {
+    const specs = [...this.config.plugins, ...await this.findInstalledPlugins()];
+    const loaded = [];
+
+    for (const spec of new Set(specs)) {
+      const file = this.resolve(spec);
+      let plugin;
+      try {
+        plugin = require(file);
+      } catch (error) {
+        throw new Error(`Could not load plugin ${spec}: ${error.message}`);
+      }
+
+      const register = typeof plugin === 'function' ? plugin : plugin && plugin.register;
+      if (typeof register !== 'function') {
+        throw new Error(`Plugin ${spec} must export a function or an object with a register() function`);
+      }
+
+      await register({
+        projectRoot: this.projectRoot,
+        registerDetector: (detector) => scanner.registerDetector(detector, spec)
+      });
+      loaded.push(spec);
+    }
+
+    return loaded;
+  }
+
+  async findInstalledPlugins() {
+    const nodeModules = path.join(this.projectRoot, 'node_modules');
+    if (!await fs.pathExists(nodeModules)) return [];
+    return glob(PLUGIN_PACKAGE_PATTERNS, { cwd: nodeModules, onlyDirectories: true, deep: 2 });
+  }
+
+  resolve(spec) {
+    // Relative paths come from the project config, anything else is a package name
+    if (spec.startsWith('.') || path.isAbsolute(spec)) {
+      return path.resolve(this.projectRoot, spec);
+    }
+    try {
+      return require.resolve(spec, { paths: [this.projectRoot] });
+    } catch (error) {
+      throw new Error(`Plugin ${spec} is not installed in ${this.projectRoot}`);
+    }
+  }
+}
+
+module.exports = PluginLoader;
@@ -0,0 +1,91 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Looked up in the project root, first match wins
+const CONFIG_FILES = ['.wapplercleanuprc', '.wapplercleanuprc.json', '.wapplercleanuprc.js'];
+const LIST_KEYS = ['include', 'exclude', 'actionRoots', 'protected', 'plugins'];
+
+function globToRegExp(glob) {
+  // ** spans folders, * and ? stay within one path segment
+  const source = glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*\/?/g, '\u0000')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\u0000/g, '.*');
+  return new RegExp(`^${source}$`);
+}
+
+class ProjectConfig {
+  constructor(data = {}, file = null) {
+    this.file = file;
+    this.include = data.include || [];
+    this.exclude = data.exclude || [];
+    // "app/modules/api" or { root: "app/modules/api", urlPrefix: "/api/modules" }
+    this.actionRoots = (data.actionRoots || []).map(entry => {
+      const { root, urlPrefix = null } = typeof entry === 'string' ? { root: entry } : entry;
+      return { root: root.replace(/\/+$/, ''), urlPrefix: urlPrefix && urlPrefix.replace(/\/+$/, '') };
+    });
+    this.protectedPaths = data.protected || [];
+    this.plugins = data.plugins || [];
+    this.options = data.options || {};
+    this.excludePatterns = this.exclude.map(globToRegExp);
+    this.protectedPatterns = this.protectedPaths.map(globToRegExp);
+  }
+
+  static async load(projectRoot) {
+    for (const name of CONFIG_FILES) {
+      const file = path.join(projectRoot, name);
+      if (!await fs.pathExists(file)) continue;
+
+      let data;
+      try {
+        data = name.endsWith('.js') ? require(file) : await fs.readJson(file);
+      } catch (error) {
+        throw new Error(`Could not read ${name}: ${error.message}`);
+      }
+      ProjectConfig.validate(data, name);
+      return new ProjectConfig(data, file);
+    }
+    return new ProjectConfig();
+  }
+
+  static validate(data, name) {
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+      throw new Error(`${name} must export an object`);
+    }
+    for (const key of LIST_KEYS) {
+      const value = data[key];
+      const isValid = key === 'actionRoots' ? ProjectConfig.isActionRoot : item => typeof item === 'string';
+      if (value !== undefined && (!Array.isArray(value) || !value.every(isValid))) {
+        throw new Error(key === 'actionRoots'
+          ? `${name}: "actionRoots" must be an array of folders or { root, urlPrefix } objects`
+          : `${name}: "${key}" must be an array of strings`);
+      }
+    }
+    if (data.options !== undefined && (typeof data.options !== 'object' || data.options === null)) {
+      throw new Error(`${name}: "options" must be an object`);
+    }
+  }
+
+  static isActionRoot(item) {
+    if (typeof item === 'string') return true;
+    return typeof item === 'object' && item !== null && typeof item.root === 'string' &&
+      (item.urlPrefix === undefined || typeof item.urlPrefix === 'string');
+  }
+
+  isExcluded(relativePath) {
+    const normalized = relativePath.split(path.sep).join('/');
+    return this.excludePatterns.some(pattern => pattern.test(normalized));
+  }
+
+  isProtected(...paths) {
+    // Matches an action's URL path as well as any of its files
+    return paths.some(candidate => {
+      const normalized = candidate.split(path.sep).join('/');
+      return this.protectedPatterns.some(pattern => pattern.test(normalized));
+    });
+  }
+}
+
+module.exports = ProjectConfig;
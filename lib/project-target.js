@@ -0,0 +1,81 @@
+const fs = require('fs-extra');
+const path = require('path');
+const glob = require('fast-glob');
+
+// Where each Wappler server model keeps its server actions and pages
+const LAYOUTS = {
+  node: {
+    name: 'Node.js',
+    actionPatterns: ['app/api/**/*.json', 'app/lib/**/*.json', 'app/sockets/**/*.json', 'app/webhooks/**/*.json'],
+    pagePatterns: ['{views,public}/**/*.{html,ejs}'],
+    pageIgnore: [],
+    scriptPatterns: ['{public,views,extensions}/**/*.js'],
+    scriptIgnore: [],
+    pagesDir: 'views',
+    pageExtension: '.ejs',
+    layoutsDir: 'views/layouts'
+  },
+  php: {
+    name: 'PHP',
+    // dmxConnect/api/**/*.php are the endpoints, their step definitions live in app/api/**/*.json
+    actionPatterns: ['dmxConnect/api/**/*.php', 'app/lib/**/*.json'],
+    pagePatterns: ['**/*.{html,php}'],
+    pageIgnore: ['dmxConnect/**', 'vendor/**', '**/node_modules/**'],
+    // Scripts sit next to the pages (js/app.js); dmxAppConnect is Wappler's own client runtime
+    scriptPatterns: ['**/*.js'],
+    scriptIgnore: ['dmxConnect/**', 'dmxAppConnect/**', 'vendor/**', '**/node_modules/**'],
+    pagesDir: '',
+    pageExtension: '.php',
+    layoutsDir: null
+  },
+  aspnet: {
+    name: 'ASP.NET',
+    // dmxConnect/api/**/*.aspx are the endpoints, steps are embedded or live in app/api/**/*.json
+    actionPatterns: ['dmxConnect/api/**/*.aspx', 'app/lib/**/*.json'],
+    pagePatterns: ['**/*.{html,aspx,cshtml}'],
+    pageIgnore: ['dmxConnect/**', 'bin/**', 'obj/**', '**/node_modules/**'],
+    scriptPatterns: ['**/*.js'],
+    scriptIgnore: ['dmxConnect/**', 'dmxAppConnect/**', 'bin/**', 'obj/**', '**/node_modules/**'],
+    pagesDir: '',
+    pageExtension: '.aspx',
+    layoutsDir: null
+  }
+};
+
+class ProjectTarget {
+  constructor(type) {
+    this.type = type;
+    Object.assign(this, LAYOUTS[type]);
+  }
+
+  static async detect(projectRoot) {
+    // Wappler records the server model in the project settings
+    const projectFile = path.join(projectRoot, '.wappler/project.json');
+    if (await fs.pathExists(projectFile)) {
+      try {
+        const project = await fs.readJson(projectFile);
+        const serverModel = String(project.projectServerModel || project.serverModel || '').toLowerCase();
+        if (serverModel.includes('php')) return new ProjectTarget('php');
+        if (serverModel.includes('asp') || serverModel.includes('net')) return new ProjectTarget('aspnet');
+        if (serverModel.includes('node')) return new ProjectTarget('node');
+      } catch (error) {
+        // Fall back to looking at the files
+      }
+    }
+
+    const endpoints = await glob('dmxConnect/api/**/*.{php,aspx}', { cwd: projectRoot });
+    if (endpoints.some(file => file.endsWith('.aspx'))) return new ProjectTarget('aspnet');
+    if (endpoints.length > 0) return new ProjectTarget('php');
+    return new ProjectTarget('node');
+  }
+
+  getCompanionFile(relativePath) {
+    // dmxConnect/api/v1/users/list.php (or .aspx) -> app/api/v1/users/list.json
+    if (this.type !== 'node' && relativePath.startsWith('dmxConnect/api/')) {
+      return relativePath.replace(/^dmxConnect\//, 'app/').replace(/\.(php|aspx)$/, '.json');
+    }
+    return null;
+  }
+}
+
+module.exports = ProjectTarget;
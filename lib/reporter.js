@@ -1,6 +1,7 @@
 const chalk = require('chalk');
 const fs = require('fs-extra');
 const { table } = require('table');
+const AssetUsageDetector = require('./asset-usage');
 
 class Reporter {
   constructor(results) {
@@ -9,6 +10,23 @@ class Reporter {
 
   printSummary() {
     const { summary } = this.results;
+    const orphanedViews = this.results.orphanedViews || [];
+    const unusedTemplates = [...(this.results.unusedLayouts || []), ...(this.results.unusedPartials || [])];
+    const unusedAssets = this.results.unusedAssets || [];
+    const unusedAssetsSize = unusedAssets.reduce((total, asset) => total + asset.size, 0);
+    const brokenReferences = this.results.brokenReferences || [];
+    const dormantReferences = this.results.dormantReferences || [];
+    const schedules = this.results.schedules || [];
+    const brokenSchedules = schedules.filter(schedule => schedule.missingTargets.length > 0);
+    const inputIssues = this.results.inputIssues || [];
+    const deadSteps = this.results.deadSteps || [];
+    const deadStepsCount = deadSteps.reduce((total, finding) => total + finding.steps.length, 0);
+    const duplicates = this.results.duplicates || [];
+    const unusedExtensions = this.results.unusedExtensions || [];
+    const unusedDependencies = this.results.unusedExtensionDependencies || [];
+    const unusedFormatters = this.results.unusedFormatters || [];
+    const moduleConfigs = this.results.moduleConfigs || [];
+    const unusedModuleConfigs = moduleConfigs.filter(config => config.deletable);
     
     console.log(`
 ${chalk.blue.bold('📊 Server Action Analysis Results')}
@@ -16,14 +34,27 @@ ${chalk.blue.bold('📊 Server Action Analysis Results')}
 ${chalk.green('✅ Used actions:')} ${summary.used}
 ${chalk.yellow('⚠️  Possibly unused:')} ${summary.possiblyUnused}
 ${chalk.red('🗑️  Likely unused:')} ${summary.likelyUnused}
+${chalk.blue('🔌 Socket/webhook handlers:')} ${summary.externalEntries || 0}
+${chalk.yellow('📄 Orphaned views:')} ${orphanedViews.length}
+${chalk.yellow('🎨 Unused layouts/partials:')} ${unusedTemplates.length}
+${chalk.yellow('🖼️  Unused assets:')} ${unusedAssets.length} (${AssetUsageDetector.formatSize(unusedAssetsSize)})
+${chalk.yellow('🧩 Unused extension modules:')} ${unusedExtensions.length} (${unusedDependencies.length} npm packages only they need)
+${chalk.yellow('🔣 Unused formatters:')} ${unusedFormatters.length}
+${chalk.yellow('⚙️  Module configs:')} ${moduleConfigs.length} (${unusedModuleConfigs.length} unused)
+${chalk.red('🔗 Broken references:')} ${brokenReferences.length}
+${chalk.gray('💤 Dormant references:')} ${dormantReferences.length}
+${chalk.blue('⏰ Schedules:')} ${schedules.length} (${brokenSchedules.length} with missing targets)
+${chalk.yellow('🧾 Actions with input issues:')} ${inputIssues.length}
+${chalk.yellow('🪦 Dead steps:')} ${deadStepsCount}
+${chalk.yellow('👯 Duplicate action groups:')} ${duplicates.length}
 ${chalk.gray('━'.repeat(50))}
-${chalk.bold('Total actions:')} ${summary.totalActions}
+${chalk.bold('Total actions:')} ${summary.totalActions}${this.formatTrafficSummary()}
 
-${chalk.bold('🎯 High confidence unused actions:')}
+${chalk.bold('🎯 Safe to delete (likely unused):')}
 `);
 
     const highConfidenceUnused = this.results.actions.filter(
-      action => action.confidence === 'high' && action.status === 'likely-unused'
+      action => action.confidence === 'safe-to-delete' && action.status === 'likely-unused'
     );
 
     if (highConfidenceUnused.length === 0) {
@@ -38,9 +69,137 @@ ${chalk.bold('🎯 High confidence unused actions:')}
       }
     }
 
+    this.printFileList('📄', 'Orphaned views', orphanedViews);
+    this.printFileList('🎨', 'Unused layouts/partials', unusedTemplates);
+    this.printFileList('🖼️', 'Unused static assets (largest first)', unusedAssets.map(asset => ({
+      relativePath: `${asset.relativePath} (${AssetUsageDetector.formatSize(asset.size)})`
+    })));
+
+    this.printFileList('🧩', 'Unused Server Connect extension modules', unusedExtensions.map(extension => ({
+      relativePath: extension.files.join(' + ')
+    })));
+
+    if (unusedDependencies.length > 0) {
+      console.log(`\n${chalk.bold('📦 npm packages only required by unused extension modules:')}`);
+      unusedDependencies.forEach(dependency => {
+        console.log(`  ${chalk.yellow('📦')} ${dependency.name}@${dependency.version} ${chalk.gray(`(${dependency.requiredBy.join(', ')})`)}`);
+      });
+    }
+
+    if (unusedFormatters.length > 0) {
+      console.log(`\n${chalk.bold('🔣 Unused formatters:')}`);
+      unusedFormatters.forEach(formatter => {
+        const removable = formatter.fileRemovable ? ' (whole file unused)' : '';
+        console.log(`  ${chalk.yellow('🔣')} ${formatter.name} ${chalk.gray(`[${formatter.side}] ${formatter.relativePath}:${formatter.line}${removable}`)}`);
+      });
+    }
+
+    if (moduleConfigs.length > 0) {
+      console.log(`\n${chalk.bold('⚙️  Module configs:')}`);
+      moduleConfigs.forEach(config => {
+        const icon = config.deletable ? chalk.red('🗑️') : chalk.green('✅');
+        const users = config.usedBy.length > 0 ? `used by ${config.usedBy.join(', ')}` : 'not used by any step';
+        const protectedLabel = config.protected ? chalk.blue(' protected') : '';
+        console.log(`  ${icon} ${config.relativePath} ${chalk.gray(`(${config.kind}) ${users}`)}${protectedLabel}`);
+      });
+    }
+
+    const deadClusters = this.results.deadClusters || [];
+    if (deadClusters.length > 0) {
+      console.log(`\n${chalk.bold('🔁 Dead clusters (actions that only call each other):')}`);
+      deadClusters.forEach(cluster => {
+        console.log(`  ${chalk.red('🔁')} ${cluster.actions.join(chalk.gray(' ↔ '))}`);
+      });
+    }
+
+    if (brokenReferences.length > 0) {
+      console.log(`\n${chalk.bold('🔗 Broken references:')}`);
+      brokenReferences.forEach(reference => {
+        const icon = reference.severity === 'critical' ? chalk.red('🚨') : chalk.yellow('⚠️');
+        const location = reference.line ? `${reference.sourceFile}:${reference.line}` : reference.sourceFile;
+        console.log(`  ${icon} ${location} ${chalk.gray(`${reference.type} → ${reference.originalReference}`)}`);
+      });
+    }
+
+    const targetSpecific = this.results.actions.filter(action => action.deployTargets && action.deployTargets.length > 0);
+    if (targetSpecific.length > 0) {
+      console.log(`\n${chalk.bold('🎯 Actions referenced by target-specific config:')}`);
+      targetSpecific.forEach(action => {
+        console.log(`  ${chalk.blue('🎯')} ${action.urlPath} ${chalk.gray(`(${action.deployTargets.join(', ')})`)}`);
+      });
+    }
+
+    if (brokenSchedules.length > 0) {
+      console.log(`\n${chalk.bold('⏰ Schedules with missing target actions:')}`);
+      brokenSchedules.forEach(schedule => {
+        const rule = schedule.rule ? chalk.gray(` (${schedule.rule})`) : '';
+        console.log(`  ${chalk.red('🚨')} ${schedule.relativePath}${rule} ${chalk.gray(`→ ${schedule.missingTargets.map(({ target }) => target).join(', ')}`)}`);
+      });
+    }
+
+    if (inputIssues.length > 0) {
+      console.log(`\n${chalk.bold('🧾 Input parameter issues:')}`);
+      inputIssues.forEach(issue => {
+        const unused = issue.unused.map(input => `${input.source}.${input.name}`);
+        const undeclared = issue.undeclared.map(input => `${input.source}.${input.name}`);
+        const details = [
+          unused.length > 0 ? `unused: ${unused.join(', ')}` : null,
+          undeclared.length > 0 ? `undeclared: ${undeclared.join(', ')}` : null
+        ].filter(Boolean).join('; ');
+        console.log(`  ${chalk.yellow('🧾')} ${issue.urlPath} ${chalk.gray(details)}`);
+      });
+    }
+
+    if (deadSteps.length > 0) {
+      console.log(`\n${chalk.bold('🪦 Dead steps inside used actions:')}`);
+      deadSteps.forEach(finding => {
+        console.log(`  ${chalk.yellow('🪦')} ${finding.urlPath}`);
+        finding.steps.forEach(step => {
+          console.log(`     ${chalk.gray(`${step.type}: ${step.step} - ${step.message}`)}`);
+        });
+      });
+    }
+
+    if (duplicates.length > 0) {
+      console.log(`\n${chalk.bold('👯 Duplicate actions (first copy is the most referenced):')}`);
+      duplicates.forEach(group => {
+        const label = group.kind === 'identical' ? 'identical' : `${Math.round(group.similarity * 100)}% similar`;
+        const copies = group.copies.map(copy => `${copy.urlPath} (${copy.references.length} refs)`);
+        console.log(`  ${chalk.yellow('👯')} ${chalk.gray(label)} ${copies.join(chalk.gray(' ≈ '))}`);
+      });
+    }
+
+    if (dormantReferences.length > 0) {
+      console.log(`\n${chalk.bold('💤 Dormant references (comments / disabled steps):')}`);
+      dormantReferences.forEach(reference => {
+        const location = reference.line ? `${reference.sourceFile}:${reference.line}` : reference.sourceFile;
+        console.log(`  ${chalk.gray('💤')} ${location} ${chalk.gray(`${reference.type} → ${reference.targetAction}`)}`);
+      });
+    }
+
     console.log('\n' + chalk.gray('💡 Use interactive mode for detailed analysis and deletion'));
   }
 
+  formatTrafficSummary() {
+    const { traffic } = this.results;
+    if (!traffic) return '';
+    return `\n${chalk.bold('Access logs:')} ${traffic.requests} requests in ${traffic.files.length} file(s), ` +
+      `${traffic.actionsWithTraffic} actions with traffic, ${traffic.unmatchedPaths.length} unknown /api paths`;
+  }
+
+  printFileList(icon, title, files) {
+    if (files.length === 0) return;
+
+    console.log(`\n${chalk.bold(`${icon} ${title}:`)}`);
+    files.slice(0, 10).forEach(file => {
+      console.log(`  ${chalk.yellow(icon)} ${file.relativePath}`);
+    });
+    
+    if (files.length > 10) {
+      console.log(chalk.gray(`  ... and ${files.length - 10} more`));
+    }
+  }
+
   async saveJson(filename) {
     await fs.writeJson(filename, this.results, { spaces: 2 });
   }
@@ -62,12 +221,14 @@ ${chalk.bold('🎯 High confidence unused actions:')}
         .used { color: #28a745; }
         .possibly-unused { color: #ffc107; }
         .likely-unused { color: #dc3545; }
+        .external-entry { color: #007bff; }
         table { width: 100%; border-collapse: collapse; }
         th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
         th { background-color: #f2f2f2; }
-        .high-confidence { background-color: #ffebee; }
-        .medium-confidence { background-color: #fff3e0; }
-        .low-confidence { background-color: #e8f5e8; }
+        .safe-to-delete-confidence { background-color: #ffebee; }
+        .review-needed-confidence { background-color: #fff3e0; }
+        .in-use-confidence { background-color: #e8f5e8; }
+        .reasons { color: #666; font-size: 0.9em; }
     </style>
 </head>
 <body>
@@ -78,6 +239,7 @@ ${chalk.bold('🎯 High confidence unused actions:')}
         <p><span class="used">✅ Used actions:</span> ${this.results.summary.used}</p>
         <p><span class="possibly-unused">⚠️ Possibly unused:</span> ${this.results.summary.possiblyUnused}</p>
         <p><span class="likely-unused">🗑️ Likely unused:</span> ${this.results.summary.likelyUnused}</p>
+        <p><span class="external-entry">🔌 Socket/webhook handlers:</span> ${this.results.summary.externalEntries || 0}</p>
         <p><strong>Total actions:</strong> ${this.results.summary.totalActions}</p>
     </div>
 
@@ -87,7 +249,9 @@ ${chalk.bold('🎯 High confidence unused actions:')}
             <tr>
                 <th>Status</th>
                 <th>Confidence</th>
+                <th>Score</th>
                 <th>References</th>
+                <th>Traffic</th>
                 <th>URL Path</th>
                 <th>File Path</th>
             </tr>
@@ -97,9 +261,11 @@ ${chalk.bold('🎯 High confidence unused actions:')}
                 <tr class="${action.confidence}-confidence">
                     <td class="${action.status.replace('-', '-')}">${this.getStatusEmoji(action.status)} ${action.status}</td>
                     <td>${action.confidence}</td>
+                    <td>${action.score}</td>
                     <td>${action.referenceCount}</td>
+                    <td>${this.formatTraffic(action.traffic)}</td>
                     <td><code>${action.urlPath}</code></td>
-                    <td><code>${action.filePath}</code></td>
+                    <td><code>${action.filePath}</code><div class="reasons">${(action.reasons || []).join('<br>')}</div></td>
                 </tr>
             `).join('')}
         </tbody>
@@ -111,10 +277,18 @@ ${chalk.bold('🎯 High confidence unused actions:')}
     `;
   }
 
+  formatTraffic(traffic) {
+    if (!traffic) return '-';
+    const lastHit = traffic.lastHit ? traffic.lastHit.split('T')[0] : 'unknown';
+    return `${traffic.hits} hits (last ${lastHit})`;
+  }
+
   getStatusEmoji(status) {
     switch (status) {
       case 'used': return '✅';
       case 'possibly-unused': return '⚠️';
+      case 'possibly-referenced': return '🔀';
+      case 'external-entry': return '🔌';
       case 'likely-unused': return '🗑️';
       default: return '❓';
     }
@@ -2,10 +2,12 @@ const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
 const ora = require('ora');
+const ProjectTarget = require('./project-target');
 
 class RoutesScanner {
-  constructor(projectRoot) {
+  constructor(projectRoot, target = null) {
     this.projectRoot = projectRoot;
+    this.target = target;
     this.routes = [];
     this.deadRoutes = [];
     this.routesFilePath = path.join(projectRoot, 'app/config/routes.json');
@@ -15,6 +17,9 @@ class RoutesScanner {
     const spinner = ora('Scanning routes.json for dead routes...').start();
     
     try {
+      // Pages and actions live in different places per server model
+      this.target = this.target || await ProjectTarget.detect(this.projectRoot);
+
       // Read routes.json
       const routesPath = path.join(this.projectRoot, 'app/config/routes.json');
       if (!await fs.pathExists(routesPath)) {
@@ -51,36 +56,39 @@ class RoutesScanner {
     
     // Check if route has a page reference
     if (route.page) {
-      const pagePath = path.join(this.projectRoot, 'views', `${route.page}.ejs`);
-      if (!await fs.pathExists(pagePath)) {
+      const expectedPath = path.posix.join(this.target.pagesDir, `${route.page}${this.target.pageExtension}`);
+      if (!await fs.pathExists(path.join(this.projectRoot, expectedPath))) {
         issues.push({
           type: 'missing_page',
-          message: `Page file not found: views/${route.page}.ejs`,
-          expectedPath: `views/${route.page}.ejs`
+          message: `Page file not found: ${expectedPath}`,
+          expectedPath
         });
       }
     }
     
     // Check if route has an exec reference (server action)
     if (route.exec) {
-      const execPath = path.join(this.projectRoot, 'app', `${route.exec}.json`);
-      if (!await fs.pathExists(execPath)) {
+      // Node actions are app-relative JSON, PHP/ASP.NET routes point straight at the endpoint file
+      const expectedPath = path.extname(route.exec)
+        ? route.exec.replace(/^\//, '')
+        : `app${route.exec}.json`;
+      if (!await fs.pathExists(path.join(this.projectRoot, expectedPath))) {
         issues.push({
           type: 'missing_exec',
-          message: `Server action not found: app${route.exec}.json`,
-          expectedPath: `app${route.exec}.json`
+          message: `Server action not found: ${expectedPath}`,
+          expectedPath
         });
       }
     }
     
     // Check if route has a layout reference
-    if (route.layout) {
-      const layoutPath = path.join(this.projectRoot, 'views/layouts', `${route.layout}.ejs`);
-      if (!await fs.pathExists(layoutPath)) {
+    if (route.layout && this.target.layoutsDir) {
+      const expectedPath = path.posix.join(this.target.layoutsDir, `${route.layout}${this.target.pageExtension}`);
+      if (!await fs.pathExists(path.join(this.projectRoot, expectedPath))) {
         issues.push({
           type: 'missing_layout',
-          message: `Layout file not found: views/layouts/${route.layout}.ejs`,
-          expectedPath: `views/layouts/${route.layout}.ejs`
+          message: `Layout file not found: ${expectedPath}`,
+          expectedPath
         });
       }
     }
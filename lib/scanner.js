@@ -4,34 +4,149 @@ const glob = require('fast-glob');
 const chalk = require('chalk');
 const ora = require('ora');
 const EmptyFolderDetector = require('./empty-folders');
+const DependencyGraph = require('./dependency-graph');
+const ViewUsageDetector = require('./view-usage');
+const AssetUsageDetector = require('./asset-usage');
+const ConfidenceScorer = require('./confidence-scorer');
+const AccessLogParser = require('./access-log');
+const { USAGE_FILE } = require('./usage-tracker');
+const ProjectTarget = require('./project-target');
+const ProjectConfig = require('./project-config');
+const PluginLoader = require('./plugin-loader');
+const ActionModel = require('./action-model');
+const InputLinter = require('./input-linter');
+const StepLinter = require('./step-linter');
+const DuplicateDetector = require('./duplicate-detector');
+const ExtensionUsageDetector = require('./extension-usage');
+const FormatterUsageDetector = require('./formatter-usage');
+const ModuleConfigUsageDetector = require('./module-config-usage');
+
+const PAGE_FILE_PATTERN = /\.(html|ejs|php|aspx|cshtml)$/;
+const SCRIPT_FILE_PATTERN = /\.(js|mjs|cjs)$/;
+
+// Traffic newer than this proves an action is still in use
+const RECENT_TRAFFIC_DAYS = 90;
+
+// Reference types that always name a server action, so a miss means a broken link
+const ACTION_REFERENCE_TYPES = new Set(['html-url', 'html-action', 'js-fetch', 'js-ajax', 'exec-string', 'queue-api-file', 'schedule', 'step-url']);
+
+// API path in the url option of an API or schedule step: https://{{$_SERVER.HTTP_HOST}}/api/v1/sync?full=1 -> /api/v1/sync
+const STEP_API_URL_PATTERN = /\/api\/[^'"?\s&#{}]+/;
+
+// Actions triggered from outside the app (socket clients, Stripe and other webhooks)
+// are entry points even when nothing in the project calls them
+const EXTERNAL_CATEGORIES = new Set(['socket', 'webhook']);
+
+// Reference types whose missing target only fails when a background job runs
+const CRITICAL_REFERENCE_TYPES = new Set(['queue-api-file', 'schedule']);
 
 class Scanner {
-  constructor(projectRoot) {
+  constructor(projectRoot, options = {}) {
     this.projectRoot = projectRoot;
+    this.accessLogs = options.accessLogs || [];
+    this.target = options.target || null;
+    this.config = options.config || new ProjectConfig();
+    this.detectors = [];
+    this.plugins = [];
     this.serverActions = new Map();
     this.references = new Map();
+    this.actionsByFile = new Map();
+    this.dynamicReferences = [];
+    this.schedules = [];
+    this.trafficStats = null;
   }
 
   async scan() {
     const spinner = ora('Discovering server actions...').start();
     
     try {
-      // Step 1: Find all server action files
+      // Step 1: Find all server action files for the project's server model
+      this.target = this.target || await ProjectTarget.detect(this.projectRoot);
+      this.plugins = await new PluginLoader(this.projectRoot, this.config).loadInto(this);
       await this.discoverServerActions();
       spinner.text = `Found ${this.serverActions.size} server actions. Scanning for references...`;
       
       // Step 2: Find all references to these actions
       await this.findReferences();
+      
+      // Step 2b: Read production usage evidence from access logs and the usage tracker file
+      const usageLogs = await this.getUsageLogs();
+      if (usageLogs.length > 0) {
+        spinner.text = `Reading ${usageLogs.length} usage log(s)...`;
+        await this.loadAccessLogs(usageLogs);
+      }
       spinner.succeed(`Scan complete! Found ${this.serverActions.size} actions with ${this.references.size} reference patterns.`);
       
       // Step 3: Find pre-existing empty folders
       spinner.text = 'Scanning for pre-existing empty folders...';
-      const emptyFolderDetector = new EmptyFolderDetector(this.projectRoot);
+      const emptyFolderDetector = new EmptyFolderDetector(this.projectRoot, this.config);
       const emptyFolders = await emptyFolderDetector.findEmptyFolders();
       
-      // Step 4: Analyze and categorize
-      const results = this.analyzeResults();
+      // Step 4: Find views, layouts and partials no route, link or include reaches
+      spinner.text = 'Scanning for orphaned views, layouts and partials...';
+      const viewUsageDetector = new ViewUsageDetector(this.projectRoot, this.config);
+      const orphanedViews = this.filterReportable(await viewUsageDetector.findOrphanedViews());
+      const unusedLayouts = this.filterReportable(await viewUsageDetector.findUnusedLayouts());
+      const unusedPartials = this.filterReportable(await viewUsageDetector.findUnusedPartials());
+      
+      // Step 5: Find static assets under public/ nothing references
+      spinner.text = 'Scanning for unused static assets...';
+      const assetUsageDetector = new AssetUsageDetector(this.projectRoot, this.config);
+      const unusedAssets = this.filterReportable(await assetUsageDetector.findUnusedAssets());
+      
+      // Step 6: Find custom Server Connect modules no step uses, and the npm packages only they need
+      spinner.text = 'Scanning for unused Server Connect extensions...';
+      const extensionUsageDetector = new ExtensionUsageDetector(this.projectRoot, this.getStepModels());
+      const { extensions, dependencies } = await extensionUsageDetector.findUnusedExtensions();
+      const unusedExtensions = this.filterReportable(extensions);
+      // A package stays when any module requiring it is excluded or protected
+      const reportedFiles = new Set(unusedExtensions.map(extension => extension.relativePath));
+      const unusedExtensionDependencies = dependencies.filter(dependency => dependency.requiredBy.every(file => reportedFiles.has(file)));
+      
+      // Step 6b: Find custom server and client formatters no expression calls
+      spinner.text = 'Scanning for unused custom formatters...';
+      const formatterUsageDetector = new FormatterUsageDetector(this.projectRoot, this.target, this.getStepModels());
+      const unusedFormatters = this.filterReportable(await formatterUsageDetector.findUnusedFormatters());
+      
+      // Step 6c: Match database connections, mailers and other app/modules configs to the steps naming them
+      spinner.text = 'Scanning module configs...';
+      const moduleConfigUsageDetector = new ModuleConfigUsageDetector(this.projectRoot, this.getStepSources());
+      // Every config is listed with its users; protected ones are just never deletable
+      const moduleConfigs = (await moduleConfigUsageDetector.findModuleConfigs())
+        .filter(config => !this.config.isExcluded(config.relativePath))
+        .map(config => {
+          const isProtected = this.config.isProtected(...config.files);
+          return { ...config, protected: isProtected, deletable: config.deletable && !isProtected };
+        });
+      
+      // Step 7: Cross-check declared $_GET/$_POST/$_PARAM inputs against the step expressions
+      spinner.text = 'Linting server action inputs...';
+      const inputIssues = new InputLinter(this.serverActions).lint();
+      
+      // Step 8: Analyze and categorize
+      const results = this.analyzeResults({ orphanedViews });
       results.emptyFolders = emptyFolders;
+      results.orphanedViews = orphanedViews;
+      results.unusedLayouts = unusedLayouts;
+      results.unusedPartials = unusedPartials;
+      results.unusedAssets = unusedAssets;
+      results.unusedExtensions = unusedExtensions;
+      results.unusedExtensionDependencies = unusedExtensionDependencies;
+      results.unusedFormatters = unusedFormatters;
+      results.moduleConfigs = moduleConfigs;
+      results.inputIssues = inputIssues;
+      // Actions about to be deleted as a whole are not worth cleaning up step by step
+      const likelyUnused = new Set(results.actions.filter(action => action.status === 'likely-unused').map(action => action.urlPath));
+      results.deadSteps = new StepLinter(this.serverActions).lint().filter(finding => !likelyUnused.has(finding.urlPath));
+      results.duplicates = new DuplicateDetector().findDuplicates(results.actions);
+      results.brokenReferences = this.findBrokenReferences();
+      results.dynamicReferences = this.dynamicReferences;
+      results.dormantReferences = this.findDormantReferences();
+      results.schedules = this.getScheduleResults();
+      results.traffic = this.trafficStats;
+      results.target = this.target.type;
+      results.deployTargets = await this.listDeployTargets();
+      results.plugins = this.plugins;
       
       return results;
       
@@ -42,26 +157,40 @@ class Scanner {
   }
 
   async discoverServerActions() {
-    const apiPattern = path.join(this.projectRoot, 'app/api/**/*.json');
-    const libPattern = path.join(this.projectRoot, 'app/lib/**/*.json');
-    
-    const files = await glob([apiPattern, libPattern]);
+    // Extra action roots from .wapplercleanuprc, e.g. app/modules/api
+    const patterns = [...this.target.actionPatterns, ...this.config.actionRoots.map(({ root }) => `${root}/**/*.json`)]
+      .map(pattern => path.join(this.projectRoot, pattern));
+    const files = this.filterExcluded(await glob(patterns));
     
     for (const file of files) {
       const relativePath = path.relative(this.projectRoot, file);
       const urlPath = this.filePathToUrl(relativePath);
       
+      // PHP and ASP.NET endpoints keep their steps in a companion JSON file under app/
+      const companionPath = this.target.getCompanionFile(relativePath);
+      const definitionFile = companionPath && await fs.pathExists(path.join(this.projectRoot, companionPath))
+        ? path.join(this.projectRoot, companionPath)
+        : file;
+      
       // Skip if it's clearly not a server action (no exec/steps)
       try {
-        const content = await fs.readJson(file);
+        const content = await this.readActionDefinition(definitionFile);
         if (content.exec || content.steps) {
+          const actionFiles = definitionFile === file ? [file] : [file, definitionFile];
           this.serverActions.set(urlPath, {
             filePath: file,
             relativePath,
+            files: actionFiles.map(actionFile => path.relative(this.projectRoot, actionFile)),
             urlPath,
+            category: this.getActionCategory(relativePath),
+            actionRoot: this.getActionRoot(relativePath),
             content,
-            references: []
+            model: new ActionModel(content),
+            references: [],
+            dynamicReferences: [],
+            selfReferences: []
           });
+          actionFiles.forEach(actionFile => this.actionsByFile.set(actionFile, urlPath));
         }
       } catch (error) {
         // Skip malformed JSON files
@@ -70,7 +199,33 @@ class Scanner {
     }
   }
 
+  async readActionDefinition(file) {
+    if (file.endsWith('.json')) {
+      return fs.readJson(file);
+    }
+
+    // Older endpoints embed their steps: $app->define(<<<'JSON' { ... } JSON); in PHP,
+    // app.exec(@"{ ""steps"": ... }"); with doubled quotes in ASP.NET
+    const source = await fs.readFile(file, 'utf-8');
+    const heredoc = source.match(/<<<'?JSON'?\r?\n([\s\S]*?)\r?\n\s*JSON/);
+    if (heredoc) {
+      return JSON.parse(heredoc[1]);
+    }
+    const verbatim = source.match(/@"(\s*\{(?:[^"]|"")*)"/);
+    if (verbatim) {
+      return JSON.parse(verbatim[1].replace(/""/g, '"'));
+    }
+    return {};
+  }
+
   filePathToUrl(filePath) {
+    // Extra action roots: app/modules/api/extra.json -> /api/modules/extra with urlPrefix "/api/modules",
+    // the file path without .json otherwise
+    const actionRoot = this.getActionRoot(filePath);
+    if (actionRoot) {
+      const name = filePath.slice(actionRoot.root.length + 1).replace(/\.json$/, '');
+      return `${actionRoot.urlPrefix || actionRoot.root}/${name}`;
+    }
     // Convert app/api/v1/courses/create.json -> /api/v1/courses/create
     if (filePath.startsWith('app/api/')) {
       return '/' + filePath.replace('app/', '').replace('.json', '');
@@ -79,200 +234,640 @@ class Scanner {
     if (filePath.startsWith('app/lib/')) {
       return filePath.replace('app/', '').replace('.json', '');
     }
+    // Convert app/sockets/chat/message.json -> sockets/chat/message (namespace/event)
+    if (filePath.startsWith('app/sockets/')) {
+      return filePath.replace('app/', '').replace('.json', '');
+    }
+    // Convert app/webhooks/stripe/checkout.json -> /webhooks/stripe/checkout
+    if (filePath.startsWith('app/webhooks/')) {
+      return '/' + filePath.replace('app/', '').replace('.json', '');
+    }
+    // PHP and ASP.NET endpoints are called by file name: dmxConnect/api/v1/courses/create.php -> /dmxConnect/api/v1/courses/create.php
+    if (filePath.startsWith('dmxConnect/')) {
+      return '/' + filePath;
+    }
     return filePath.replace('.json', '');
   }
 
+  getActionRoot(filePath) {
+    return this.config.actionRoots.find(({ root }) => filePath.startsWith(`${root}/`)) || null;
+  }
+
+  getActionCategory(filePath) {
+    if (filePath.startsWith('app/lib/')) return 'lib';
+    if (filePath.startsWith('app/sockets/')) return 'socket';
+    if (filePath.startsWith('app/webhooks/')) return 'webhook';
+    return 'api';
+  }
+
   async findReferences() {
     // Scan different file types for references
     await this.scanHtmlFiles();
     await this.scanJsonFiles();
+    await this.scanScheduleFiles();
+    await this.scanTargetFiles();
     await this.scanJavaScriptFiles();
+    await this.runDetectors();
   }
 
   async scanHtmlFiles() {
-    const pattern = path.join(this.projectRoot, '{views,public}/**/*.{html,ejs}');
-    const files = await glob(pattern);
+    const files = this.filterExcluded(await glob([...this.target.pagePatterns, ...this.config.include], {
+      cwd: this.projectRoot,
+      absolute: true,
+      ignore: this.target.pageIgnore
+    })).filter(file => PAGE_FILE_PATTERN.test(file));
 
     for (const file of files) {
       const content = await fs.readFile(file, 'utf-8');
+      // Matches inside <!-- -->, <%# %> or /* */ are dormant, not real usage
+      const commentRanges = this.findCommentRanges(content, 'html');
       
       // Look for url="/api/..." patterns
-      const urlMatches = content.match(/url=["']([^"']+)["']/g);
-      if (urlMatches) {
-        for (const match of urlMatches) {
-          const url = match.match(/url=["']([^"']+)["']/)[1];
-          this.addReference(url, file, 'html-url');
-        }
+      for (const { value, line, dormant } of this.findMatches(content, /url=["']([^"']+)["']/g, commentRanges)) {
+        this.addReference(value, file, 'html-url', line, dormant);
       }
 
       // Look for action="/api/..." patterns  
-      const actionMatches = content.match(/action=["']([^"']+)["']/g);
-      if (actionMatches) {
-        for (const match of actionMatches) {
-          const url = match.match(/action=["']([^"']+)["']/)[1];
-          this.addReference(url, file, 'html-action');
-        }
+      for (const { value, line, dormant } of this.findMatches(content, /action=["']([^"']+)["']/g, commentRanges)) {
+        this.addReference(value, file, 'html-action', line, dormant);
       }
 
       // Look for API URLs in href attributes and other URL patterns
-      const hrefMatches = content.match(/href=["']([^"']+)["']/g);
-      if (hrefMatches) {
-        for (const match of hrefMatches) {
-          const url = match.match(/href=["']([^"']+)["']/)[1];
-          if (url.includes('/api/')) {
-            this.scanForApiUrlPatterns(url, file);
-          }
+      for (const { value, line, dormant } of this.findMatches(content, /href=["']([^"']+)["']/g, commentRanges)) {
+        if (value.includes('/api/') || value.includes('dmxConnect/api/')) {
+          this.scanForApiUrlPatterns(value, file, { line, dormant });
+        }
+      }
+
+      // Look for computed URLs: dmx-bind:url="'/api/v1/'+type+'/list'" or url="/api/{{type}}/list"
+      const dynamicPatterns = [
+        /dmx-bind:(?:url|action)="([^"]+)"/g,
+        /dmx-bind:(?:url|action)='([^']+)'/g,
+        /(?:url|action)=["']([^"']*\{\{[^"']*)["']/g
+      ];
+      for (const dynamicPattern of dynamicPatterns) {
+        for (const { value, line, dormant } of this.findMatches(content, dynamicPattern, commentRanges)) {
+          this.addDynamicReference(value, file, 'html-dynamic-url', line, dormant);
         }
       }
 
       // Scan entire content for API URL patterns (for magic links in emails, etc.)
-      this.scanForApiUrlPatterns(content, file);
+      this.scanForApiUrlPatterns(content, file, { commentRanges });
+
+      // Look for socket events emitted from dmx-socket components
+      this.scanForSocketEmits(content, file, commentRanges);
     }
   }
 
   async scanJsonFiles() {
     // Scan all JSON files for exec/include references and api_file patterns
+    // Schedules get their own pass, see scanScheduleFiles
     const pattern = path.join(this.projectRoot, 'app/**/*.json');
-    const files = await glob(pattern);
+    const files = this.filterExcluded(await glob(pattern, { ignore: [path.join(this.projectRoot, 'app/schedule/**')] }));
 
     for (const file of files) {
       try {
-        const content = await fs.readJson(file);
-        
-        // Look for Bull queue api_file references
-        this.findInObject(content, 'api_file', (value) => {
-          this.addReference(value, file, 'queue-api-file');
-        });
+        const raw = await fs.readFile(file, 'utf-8');
+        this.scanJsonDocument(raw, JSON.parse(raw), file);
+      } catch (error) {
+        // Skip malformed JSON
+      }
+    }
 
-        // Look for exec references
-        this.findInObject(content, 'exec', (value) => {
-          if (typeof value === 'string') {
-            this.addReference(value, file, 'exec-string');
-          }
-        });
+    // PHP/ASP.NET endpoints without a companion JSON embed their steps
+    for (const action of this.serverActions.values()) {
+      if (action.files.length === 1 && !action.filePath.endsWith('.json')) {
+        const raw = await fs.readFile(action.filePath, 'utf-8');
+        this.scanActionSteps(raw, action.model, action.filePath);
+      }
+    }
+  }
 
-        // Look for module references in steps
-        this.findInObject(content, 'module', (value) => {
-          if (typeof value === 'string') {
-            this.addReference(value, file, 'exec-module');
-          }
-        });
+  scanJsonDocument(raw, content, file) {
+    if (ActionModel.isAction(content)) {
+      this.scanActionSteps(raw, new ActionModel(content), file);
+    } else {
+      this.scanConfigJson(raw, content, file);
+    }
+  }
 
-        // Look for URL patterns in value strings (magic links, direct API calls)
-        this.findInObject(content, 'value', (value) => {
-          if (typeof value === 'string') {
-            this.scanForApiUrlPatterns(value, file);
-          }
-        });
+  scanActionSteps(raw, model, file) {
+    // References come from the options of each parsed step; steps inside
+    // a disabled step (or its branches) are dormant
+    for (const { kind, value, line, dormant } of this.getStepReferences(raw, model)) {
+      if (kind === 'exec') {
+        this.addReference(value, file, 'exec-string', line, dormant);
+      } else if (kind === 'api_file') {
+        // Bull queue jobs
+        this.addReference(value, file, 'queue-api-file', line, dormant);
+      } else {
+        // API steps calling the app's own actions over HTTP; a path cut short by an expression stays dynamic
+        const apiUrl = kind === 'url' && value.match(STEP_API_URL_PATTERN);
+        if (apiUrl && value[apiUrl.index + apiUrl[0].length] !== '{') {
+          this.addReference(apiUrl[0], file, 'step-url', line, dormant);
+        }
+        // URLs, magic links and any other string option that may hold an API path
+        this.scanForApiUrlPatterns(value, file, { line, dormant });
+        this.addDynamicReference(value, file, 'json-dynamic-url', line, dormant);
+      }
+    }
+  }
 
-        // Also check other string fields that might contain URLs
-        this.findInObject(content, 'url', (value) => {
-          if (typeof value === 'string') {
-            this.scanForApiUrlPatterns(value, file);
-          }
-        });
+  getStepReferences(raw, model) {
+    const stepReferences = [];
+    model.walk(step => {
+      for (const { key, value } of model.getOptionStrings(step)) {
+        const kind = ['exec', 'api_file', 'url'].includes(key) ? key : 'text';
+        stepReferences.push({ kind, value, step, line: this.findLineOfValue(raw, value), dormant: step.disabled });
+      }
+    });
+    return stepReferences;
+  }
 
-        this.findInObject(content, 'link', (value) => {
-          if (typeof value === 'string') {
-            this.scanForApiUrlPatterns(value, file);
-          }
-        });
+  scanConfigJson(raw, content, file) {
+    // Routes, target config and other non-action JSON have no steps, so look at known keys
+    this.findInObject(content, 'api_file', (value, dormant) => {
+      if (typeof value === 'string') {
+        this.addReference(value, file, 'queue-api-file', this.findLineOfValue(raw, value), dormant);
+      }
+    });
+
+    this.findInObject(content, 'exec', (value, dormant) => {
+      if (typeof value === 'string') {
+        this.addReference(value, file, 'exec-string', this.findLineOfValue(raw, value), dormant);
+      }
+    });
 
+    for (const key of ['value', 'url', 'link']) {
+      this.findInObject(content, key, (value, dormant) => {
+        if (typeof value === 'string') {
+          const line = this.findLineOfValue(raw, value);
+          this.scanForApiUrlPatterns(value, file, { line, dormant });
+          this.addDynamicReference(value, file, 'json-dynamic-url', line, dormant);
+        }
+      });
+    }
+  }
+
+  async scanScheduleFiles() {
+    // Scheduler jobs in app/schedule run server actions on a timer, so every
+    // action they execute is an entry point even if no page ever calls it.
+    // Targets can add their own schedules, e.g. a nightly sync that only runs in production
+    const files = this.filterExcluded(await glob(['app/schedule/**/*.json', '.wappler/targets/*/app/schedule/**/*.json'], {
+      cwd: this.projectRoot,
+      absolute: true,
+      dot: true
+    }));
+
+    for (const file of files) {
+      let raw, content;
+      try {
+        raw = await fs.readFile(file, 'utf-8');
+        content = JSON.parse(raw);
       } catch (error) {
-        // Skip malformed JSON
+        console.warn(chalk.yellow(`Warning: Could not parse ${path.relative(this.projectRoot, file)}`));
+        continue;
+      }
+
+      const schedule = {
+        filePath: file,
+        relativePath: path.relative(this.projectRoot, file),
+        name: path.basename(file, '.json'),
+        rule: this.getScheduleRule(content),
+        deployTarget: this.getDeployTarget(file),
+        model: new ActionModel(content),
+        targets: []
+      };
+
+      const addTarget = (value, dormant, line) => {
+        this.addReference(value, file, 'schedule', line, dormant);
+        schedule.targets.push({ target: this.normalizeReferencePath(value), line, dormant });
+      };
+
+      for (const { kind, value, line, dormant } of this.getStepReferences(raw, schedule.model)) {
+        if (kind === 'exec' || kind === 'api_file') {
+          // Library or API actions run by exec steps, and queue jobs the schedule feeds
+          addTarget(value, dormant, line);
+        } else if (kind === 'url' && STEP_API_URL_PATTERN.test(value)) {
+          // API actions called over HTTP by the job
+          addTarget(value.match(STEP_API_URL_PATTERN)[0], dormant, line);
+        } else {
+          // Anything else (magic links, messages) is scanned like other JSON
+          this.scanForApiUrlPatterns(value, file, { line, dormant });
+          this.addDynamicReference(value, file, 'json-dynamic-url', line, dormant);
+        }
       }
+
+      this.schedules.push(schedule);
     }
   }
 
-  scanForApiUrlPatterns(str, sourceFile) {
+  async scanTargetFiles() {
+    // Per-target overrides in .wappler/targets/<name>/ (routes, config, env settings)
+    // can reference actions only one environment uses
+    const files = this.filterExcluded(await glob('.wappler/targets/*/**/{*.json,*.yml,*.yaml,.env,*.env}', {
+      cwd: this.projectRoot,
+      absolute: true,
+      dot: true,
+      ignore: ['**/node_modules/**', '.wappler/targets/*/app/schedule/**']
+    }));
+
+    for (const file of files) {
+      const raw = await fs.readFile(file, 'utf-8');
+      if (file.endsWith('.json')) {
+        try {
+          this.scanJsonDocument(raw, JSON.parse(raw), file);
+        } catch (error) {
+          // Skip malformed JSON
+        }
+      } else {
+        this.scanForApiUrlPatterns(raw, file);
+      }
+    }
+  }
+
+  getDeployTarget(file) {
+    const match = path.relative(this.projectRoot, file).split(path.sep).join('/').match(/^\.wappler\/targets\/([^/]+)\//);
+    return match ? match[1] : null;
+  }
+
+  getScheduleRule(content) {
+    const options = (content.settings && content.settings.options) || {};
+    return options.rule || options.cron || options.interval || null;
+  }
+
+  getScheduleResults() {
+    return this.schedules.map(schedule => ({
+      relativePath: schedule.relativePath,
+      name: schedule.name,
+      rule: schedule.rule,
+      deployTarget: schedule.deployTarget,
+      targets: schedule.targets,
+      missingTargets: schedule.targets.filter(({ target, dormant }) =>
+        !dormant && !this.serverActions.has(target) && (target.startsWith('/api/') || target.startsWith('lib/'))
+      )
+    }));
+  }
+
+  scanForApiUrlPatterns(str, sourceFile, { line, dormant = false, commentRanges = [] } = {}) {
     // Look for patterns like '/api/v1/security/magic-login' in URL strings
     // This catches magic links and other direct API endpoint references
+    // Without a known line, str is a whole file and lines come from match positions
     
     // Pattern 1: Direct API paths in strings
-    const apiMatches = str.match(/\/api\/[^'"?\s&]+/g);
-    if (apiMatches) {
-      for (const match of apiMatches) {
-        // Clean up any query parameters or fragments
-        const cleanPath = match.split('?')[0].split('#')[0];
-        this.addReference(cleanPath, sourceFile, 'url-string');
-      }
+    for (const match of this.findMatches(str, /(?:\/?dmxConnect)?\/api\/[^'"?\s&]+/g, commentRanges)) {
+      // Clean up any query parameters or fragments
+      const cleanPath = match.value.split('?')[0].split('#')[0];
+      this.addReference(cleanPath, sourceFile, 'url-string', line !== undefined ? line : match.line, dormant || match.dormant);
     }
 
     // Pattern 2: Template string patterns with variables
     // Example: '/api/v1/security/magic-login?token='+variable
-    const templateApiMatches = str.match(/['"`][^'"]*\/api\/[^'"?\s&]+[^'"]*['"`]/g);
-    if (templateApiMatches) {
-      for (const match of templateApiMatches) {
-        // Extract just the API path part
-        const apiMatch = match.match(/\/api\/[^'"?\s&]+/);
-        if (apiMatch) {
-          const cleanPath = apiMatch[0].split('?')[0].split('#')[0];
-          this.addReference(cleanPath, sourceFile, 'template-url');
-        }
+    for (const match of this.findMatches(str, /['"`][^'"]*\/api\/[^'"?\s&]+[^'"]*['"`]/g, commentRanges)) {
+      // Extract just the API path part
+      const apiMatch = match.value.match(/\/api\/[^'"?\s&]+/);
+      if (apiMatch) {
+        const cleanPath = apiMatch[0].split('?')[0].split('#')[0];
+        this.addReference(cleanPath, sourceFile, 'template-url', line !== undefined ? line : match.line, dormant || match.dormant);
       }
     }
   }
 
   async scanJavaScriptFiles() {
-    const pattern = path.join(this.projectRoot, '{public,views,extensions}/**/*.js');
-    const files = await glob(pattern);
+    const files = this.filterExcluded(await glob([...this.target.scriptPatterns, ...this.config.include], {
+      cwd: this.projectRoot,
+      absolute: true,
+      ignore: this.target.scriptIgnore
+    })).filter(file => SCRIPT_FILE_PATTERN.test(file));
 
     for (const file of files) {
       const content = await fs.readFile(file, 'utf-8');
+      const commentRanges = this.findCommentRanges(content, 'js');
       
       // Look for fetch('/api/...') patterns
-      const fetchMatches = content.match(/fetch\s*\(\s*['"`]([^'"`]+)['"`]\s*\)/g);
-      if (fetchMatches) {
-        for (const match of fetchMatches) {
-          const url = match.match(/fetch\s*\(\s*['"`]([^'"`]+)['"`]\s*\)/)[1];
-          if (url.startsWith('/api/')) {
-            this.addReference(url, file, 'js-fetch');
-          }
+      for (const { value, line, dormant } of this.findMatches(content, /fetch\s*\(\s*['"`]([^'"`]+)['"`]\s*\)/g, commentRanges)) {
+        if (this.isApiUrl(value)) {
+          this.addReference(value, file, 'js-fetch', line, dormant);
         }
       }
 
       // Look for other AJAX patterns
-      const ajaxMatches = content.match(/url\s*:\s*['"`]([^'"`]+)['"`]/g);
-      if (ajaxMatches) {
-        for (const match of ajaxMatches) {
-          const url = match.match(/url\s*:\s*['"`]([^'"`]+)['"`]/)[1];
-          if (url.startsWith('/api/')) {
-            this.addReference(url, file, 'js-ajax');
+      for (const { value, line, dormant } of this.findMatches(content, /url\s*:\s*['"`]([^'"`]+)['"`]/g, commentRanges)) {
+        if (this.isApiUrl(value)) {
+          this.addReference(value, file, 'js-ajax', line, dormant);
+        }
+      }
+
+      // Look for template literals (`/api/v1/${type}/list`) and concatenations ('/api/v1/' + type)
+      const dynamicPatterns = [
+        /`([^`]*\/api\/[^`]*\$\{[^`]*)`/g,
+        /((['"])\/api\/[^'"]*\2(?:\s*\+\s*(?:[\w$.]+(?:\([^()]*\))?|(['"])[^'"]*\3))+)/g
+      ];
+      for (const dynamicPattern of dynamicPatterns) {
+        for (const { value, line, dormant } of this.findMatches(content, dynamicPattern, commentRanges)) {
+          this.addDynamicReference(value, file, 'js-dynamic-url', line, dormant);
+        }
+      }
+
+      // Look for socket.emit('event') calls from socket.io clients
+      this.scanForSocketEmits(content, file, commentRanges);
+    }
+  }
+
+  scanForSocketEmits(content, sourceFile, commentRanges = []) {
+    // .emit() is common on any event emitter, only trust it in socket-aware files
+    if (!/dmx-socket|socket/i.test(content)) return;
+
+    // <dmx-socket id="socket1" namespace="chat"> routes emits to app/sockets/chat/
+    const namespaces = this.findMatches(content, /<dmx-socket\b[^>]*\bnamespace=["']\/?([^"']*)["']/g)
+      .map(({ value }) => value)
+      .filter(Boolean);
+
+    for (const { value, line, dormant } of this.findMatches(content, /\.emit\s*\(\s*['"]([\w\-:./]+)['"]/g, commentRanges)) {
+      this.addReference(this.resolveSocketEvent(value, namespaces), sourceFile, 'socket-emit', line, dormant);
+    }
+  }
+
+  resolveSocketEvent(eventName, namespaces) {
+    const candidates = namespaces.length > 0
+      ? namespaces.map(namespace => `sockets/${namespace}/${eventName}`)
+      : [`sockets/${eventName}`];
+
+    const match = candidates.find(candidate => this.serverActions.has(candidate));
+    if (match) return match;
+
+    // Namespace set from script or another page: fall back to the event name alone
+    for (const [urlPath, action] of this.serverActions) {
+      if (action.category === 'socket' && urlPath.endsWith(`/${eventName}`)) {
+        return urlPath;
+      }
+    }
+    return candidates[0];
+  }
+
+  filterExcluded(files) {
+    return files.filter(file => !this.config.isExcluded(path.relative(this.projectRoot, file)));
+  }
+
+  getStepSources() {
+    // Every parsed step tree in the project: server actions, library actions and schedules
+    return [
+      ...Array.from(this.serverActions, ([urlPath, action]) => ({ source: urlPath, model: action.model })),
+      ...this.schedules.map(schedule => ({ source: schedule.relativePath, model: schedule.model }))
+    ];
+  }
+
+  getStepModels() {
+    return this.getStepSources().map(({ model }) => model);
+  }
+
+  filterReportable(items) {
+    // Excluded and protected files are never offered for deletion
+    return items.filter(item => !this.config.isExcluded(item.relativePath) && !this.config.isProtected(item.relativePath));
+  }
+
+  registerDetector(detector, source = 'api') {
+    if (!detector || typeof detector.name !== 'string' || typeof detector.detect !== 'function') {
+      throw new Error(`Detector from ${source} needs a name and a detect(content, addReference) function`);
+    }
+    const files = [].concat(detector.files || []);
+    if (files.length === 0 || files.some(file => typeof file !== 'string')) {
+      throw new Error(`Detector ${detector.name} from ${source} needs file globs`);
+    }
+    if (detector.weight !== undefined && !(typeof detector.weight === 'number' && detector.weight >= 0 && detector.weight <= 100)) {
+      throw new Error(`Detector ${detector.name} from ${source} needs a weight between 0 and 100`);
+    }
+    this.detectors.push({ ...detector, files, source });
+  }
+
+  async runDetectors() {
+    // Custom detectors registered by plugins, see lib/plugin-loader.js
+    for (const detector of this.detectors) {
+      const files = this.filterExcluded(await glob(detector.files, {
+        cwd: this.projectRoot,
+        absolute: true,
+        ignore: ['**/node_modules/**']
+      }));
+
+      for (const file of files) {
+        const content = await fs.readFile(file, 'utf-8');
+        const addReference = (referencedPath, { line = null, type, dormant = false } = {}) => {
+          const reference = this.addReference(referencedPath, file, type || `plugin:${detector.name}`, line, dormant);
+          // Plugin matches are explicit unless the detector says otherwise; built-in types keep their own weight
+          if (detector.weight !== undefined || !type) {
+            reference.weight = detector.weight !== undefined ? detector.weight : ConfidenceScorer.PLUGIN_WEIGHT;
           }
+        };
+
+        try {
+          await detector.detect(content, addReference, {
+            filePath: file,
+            relativePath: path.relative(this.projectRoot, file),
+            getLineNumber: (index) => this.getLineNumber(content, index)
+          });
+        } catch (error) {
+          console.warn(chalk.yellow(`Warning: Detector ${detector.name} failed on ${path.relative(this.projectRoot, file)}: ${error.message}`));
         }
       }
     }
   }
 
-  findInObject(obj, key, callback) {
+  addDynamicReference(expression, sourceFile, type, line = null, dormant = false) {
+    const pattern = this.expressionToPattern(expression);
+    if (!pattern) return;
+
+    const regex = new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+    const reference = {
+      sourceFile: path.relative(this.projectRoot, sourceFile),
+      sourceAction: this.actionsByFile.get(sourceFile) || null,
+      type,
+      line,
+      originalReference: expression,
+      pattern,
+      dormant
+    };
+
+    reference.matches = [];
+    for (const [urlPath, action] of this.serverActions) {
+      if (regex.test(urlPath)) {
+        // An action building a URL to itself is not usage
+        if (reference.sourceAction === urlPath) {
+          action.selfReferences.push(reference);
+          continue;
+        }
+        action.dynamicReferences.push(reference);
+        reference.matches.push(urlPath);
+      }
+    }
+
+    this.dynamicReferences.push(reference);
+  }
+
+  expressionToPattern(expression) {
+    // Turns a computed URL into a wildcard pattern, e.g. '/api/v1/'+type+'/list' -> /api/v1/*/list
+    let source = expression.trim();
+    const mustache = source.match(/^\{\{([\s\S]*)\}\}$/);
+    if (mustache && /['"]/.test(mustache[1])) {
+      source = mustache[1];
+    }
+
+    // Template literal and mustache placeholders become wildcards
+    source = source.replace(/\$\{[^}]*\}/g, '*').replace(/\{\{[^}]*\}\}/g, '*');
+
+    // Concatenations keep their quoted literals and wildcard everything in between
+    let pattern = source;
+    if (/['"]/.test(source)) {
+      pattern = '';
+      let lastIndex = 0;
+      for (const match of source.matchAll(/'([^']*)'|"([^"]*)"/g)) {
+        if (source.slice(lastIndex, match.index).replace(/[\s+]/g, '')) {
+          pattern += '*';
+        }
+        pattern += match[1] !== undefined ? match[1] : match[2];
+        lastIndex = match.index + match[0].length;
+      }
+      if (source.slice(lastIndex).replace(/[\s+]/g, '')) {
+        pattern += '*';
+      }
+    }
+
+    pattern = pattern.split('?')[0].split('#')[0].replace(/\*+/g, '*').replace(/^\/app\/api\//, '/api/').replace(/\.json$/, '');
+    // PHP/ASP.NET endpoints like normalizeReferencePath: '../dmxConnect/api/v1/'+name+'.php' -> /dmxConnect/api/v1/*.php
+    if (pattern.includes('dmxConnect/api/')) {
+      pattern = '/dmxConnect/api/' + pattern.split('dmxConnect/api/')[1];
+    }
+
+    // Literal paths are handled by addReference, only wildcard patterns are dynamic
+    if (!(pattern.startsWith('/api/') || pattern.startsWith('/dmxConnect/api/')) || !pattern.includes('*')) {
+      return null;
+    }
+    return pattern;
+  }
+
+  findMatches(content, regex, commentRanges = []) {
+    // Returns the first capture group (or the whole match) with its 1-based line number
+    // and whether it sits inside one of the given comment ranges
+    const matches = [];
+    for (const match of content.matchAll(regex)) {
+      matches.push({
+        value: match[1] !== undefined ? match[1] : match[0],
+        line: this.getLineNumber(content, match.index),
+        dormant: commentRanges.some(([start, end]) => match.index >= start && match.index < end)
+      });
+    }
+    return matches;
+  }
+
+  getLineNumber(content, index) {
+    return content.slice(0, index).split('\n').length;
+  }
+
+  findLineOfValue(raw, value) {
+    const index = raw.indexOf(JSON.stringify(value));
+    return index === -1 ? null : this.getLineNumber(raw, index);
+  }
+
+  findCommentRanges(content, fileType) {
+    const patterns = [/\/\*[\s\S]*?\*\//g];
+    if (fileType === 'html') {
+      patterns.push(/<!--[\s\S]*?-->/g, /<%#[\s\S]*?%>/g);
+    } else {
+      // Line comments, but not the // in http:// or inside a quoted URL
+      patterns.push(/(?<![:'"`\\])\/\/.*$/gm);
+    }
+
+    const ranges = [];
+    for (const pattern of patterns) {
+      for (const match of content.matchAll(pattern)) {
+        ranges.push([match.index, match.index + match[0].length]);
+      }
+    }
+    return ranges;
+  }
+
+  findInObject(obj, key, callback, disabled = false) {
     if (typeof obj !== 'object' || obj === null) return;
     
     if (Array.isArray(obj)) {
       for (const item of obj) {
-        this.findInObject(item, key, callback);
+        this.findInObject(item, key, callback, disabled);
       }
     } else {
+      // Everything below a disabled Server Connect step is dormant
+      const isDisabled = disabled || obj.disabled === true;
       for (const [k, v] of Object.entries(obj)) {
         if (k === key) {
-          callback(v);
-        } else {
-          this.findInObject(v, key, callback);
+          callback(v, isDisabled);
         }
+        // Keep descending: a matched key can wrap nested matches (e.g. exec.steps[].options.exec)
+        this.findInObject(v, key, callback, isDisabled);
+      }
+    }
+  }
+
+  addReference(referencedPath, sourceFile, type, line = null, dormant = false) {
+    const normalizedPath = this.normalizeReferencePath(referencedPath);
+
+    // References from inside another server action are graph edges,
+    // everything else (views, routes, schedules, queues) is an entry point
+    const reference = {
+      sourceFile: path.relative(this.projectRoot, sourceFile),
+      sourceAction: this.actionsByFile.get(sourceFile) || null,
+      type,
+      line,
+      originalReference: referencedPath,
+      normalizedPath,
+      dormant,
+      deployTarget: this.getDeployTarget(sourceFile)
+    };
+
+    if (this.serverActions.has(normalizedPath)) {
+      // An action referencing its own URL (e.g. a magic link to itself) is not usage
+      if (reference.sourceAction === normalizedPath) {
+        this.serverActions.get(normalizedPath).selfReferences.push(reference);
+      } else {
+        this.serverActions.get(normalizedPath).references.push(reference);
       }
     }
+
+    // Also store in references map for lookup
+    if (!this.references.has(normalizedPath)) {
+      this.references.set(normalizedPath, []);
+    }
+    this.references.get(normalizedPath).push(reference);
+    return reference;
   }
 
-  addReference(referencedPath, sourceFile, type) {
-    // Normalize the referenced path
+  isApiUrl(value) {
+    return value.startsWith('/api/') || /^(?:\.{0,2}\/)*dmxConnect\/api\//.test(value);
+  }
+
+  normalizeReferencePath(reference) {
+    // Query string, hash and trailing slash never name a different action: /api/v1/list/?page=2 -> /api/v1/list
+    const referencedPath = reference.split(/[?#]/)[0].replace(/(.)\/+$/, '$1');
     let normalizedPath = referencedPath;
+
+    // File paths into an extra action root: app/modules/api/extra.json, /app/modules/api/extra
+    const actionRoot = this.getActionRoot(referencedPath.replace(/^\//, ''));
+    if (actionRoot) {
+      return this.filePathToUrl(referencedPath.replace(/^\//, '').replace(/\.json$/, ''));
+    }
     
     // Convert different path formats to match our server action keys
-    if (referencedPath.startsWith('/api/')) {
+    if (referencedPath.includes('dmxConnect/api/')) {
+      // PHP/ASP.NET endpoints: dmxConnect/api/x.php, ../dmxConnect/api/x.aspx -> /dmxConnect/api/x.aspx
+      normalizedPath = '/dmxConnect/api/' + referencedPath.split('dmxConnect/api/')[1];
+    } else if (referencedPath.startsWith('/api/')) {
       normalizedPath = referencedPath;
     } else if (referencedPath.startsWith('/app/api/')) {
       // Bull queue pattern: /app/api/v1/queues/... -> /api/v1/queues/...
       normalizedPath = referencedPath.replace('/app/api/', '/api/');
-    } else if (!referencedPath.startsWith('/') && !referencedPath.startsWith('lib/')) {
+    } else if (/^(app\/)?api\//.test(referencedPath)) {
+      // App-relative API paths: app/api/v1/... or api/v1/... -> /api/v1/...
+      normalizedPath = '/' + referencedPath.replace(/^app\//, '');
+    } else if (referencedPath.startsWith('app/lib/')) {
+      normalizedPath = referencedPath.replace('app/', '');
+    } else if (!referencedPath.startsWith('/') && !referencedPath.startsWith('lib/') && !referencedPath.startsWith('sockets/')) {
       // Handle relative lib references
       normalizedPath = 'lib/' + referencedPath;
     }
@@ -282,66 +877,247 @@ class Scanner {
       normalizedPath = normalizedPath.replace('.json', '');
     }
 
-    if (this.serverActions.has(normalizedPath)) {
-      this.serverActions.get(normalizedPath).references.push({
-        sourceFile: path.relative(this.projectRoot, sourceFile),
-        type,
-        originalReference: referencedPath
-      });
+    return normalizedPath;
+  }
+
+  async getUsageLogs() {
+    const usageLogs = [...this.accessLogs];
+    // Written by the usage tracker middleware, its JSON lines parse like any access log
+    const usageFile = path.join(this.projectRoot, USAGE_FILE);
+    if (!usageLogs.includes(usageFile) && await fs.pathExists(usageFile)) {
+      usageLogs.push(usageFile);
     }
+    return usageLogs;
+  }
 
-    // Also store in references map for lookup
-    if (!this.references.has(normalizedPath)) {
-      this.references.set(normalizedPath, []);
+  async loadAccessLogs(files) {
+    const parser = new AccessLogParser();
+    const traffic = await parser.parseFiles(files);
+    const recentSince = Date.now() - RECENT_TRAFFIC_DAYS * 24 * 60 * 60 * 1000;
+    const unmatchedPaths = [];
+
+    for (const [requestPath, entry] of traffic) {
+      if (!this.serverActions.has(requestPath)) {
+        if (this.isApiUrl(requestPath)) {
+          unmatchedPaths.push(requestPath);
+        }
+        continue;
+      }
+
+      const action = this.serverActions.get(requestPath);
+      action.traffic = {
+        hits: entry.hits,
+        firstHit: entry.firstHit ? entry.firstHit.toISOString() : null,
+        lastHit: entry.lastHit ? entry.lastHit.toISOString() : null,
+        // Hits without a usable timestamp cannot be proven old, so they count as recent
+        recent: !entry.lastHit || entry.lastHit.getTime() >= recentSince
+      };
     }
-    this.references.get(normalizedPath).push({
-      sourceFile: path.relative(this.projectRoot, sourceFile),
-      type,
-      originalReference: referencedPath
-    });
+
+    this.trafficStats = {
+      ...parser.getStats(),
+      recentDays: RECENT_TRAFFIC_DAYS,
+      actionsWithTraffic: Array.from(this.serverActions.values()).filter(action => action.traffic).length,
+      unmatchedPaths
+    };
+  }
+
+  findBrokenReferences() {
+    const brokenReferences = [];
+
+    for (const [normalizedPath, references] of this.references) {
+      if (this.serverActions.has(normalizedPath)) continue;
+
+      for (const reference of references) {
+        if (this.isActionReference(reference)) {
+          brokenReferences.push({
+            ...reference,
+            severity: CRITICAL_REFERENCE_TYPES.has(reference.type) ? 'critical' : 'error'
+          });
+        }
+      }
+    }
+
+    return brokenReferences.sort((a, b) =>
+      a.sourceFile.localeCompare(b.sourceFile) || (a.line || 0) - (b.line || 0)
+    );
+  }
+
+  isActionReference(reference) {
+    // Commented-out or disabled references cannot break anything at runtime
+    if (reference.dormant || !ACTION_REFERENCE_TYPES.has(reference.type)) return false;
+
+    // Expressions like '/api/' + type are not literal paths
+    if (/[{}+$'"`\s]/.test(reference.originalReference)) return false;
+
+    if (reference.type === 'exec-string' || CRITICAL_REFERENCE_TYPES.has(reference.type)) {
+      return this.isApiUrl(reference.normalizedPath) || reference.normalizedPath.startsWith('lib/');
+    }
+    return this.isApiUrl(reference.normalizedPath);
+  }
+
+  findDormantReferences() {
+    const dormantReferences = [];
+    const seen = new Set();
+
+    for (const [urlPath, action] of this.serverActions) {
+      // A commented-out url="..." matches several patterns on its line, it is reported once
+      const references = ConfidenceScorer.dedupeReferences(action.references.filter(reference => reference.dormant));
+      for (const reference of [...references, ...action.dynamicReferences.filter(reference => reference.dormant)]) {
+        const key = `${reference.sourceFile}|${reference.line}|${urlPath}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        dormantReferences.push({ ...reference, targetAction: urlPath });
+      }
+    }
+
+    return dormantReferences.sort((a, b) =>
+      a.sourceFile.localeCompare(b.sourceFile) || (a.line || 0) - (b.line || 0)
+    );
+  }
+
+  getDeployTargets(action) {
+    // Targets whose own config or schedules reference the action; empty when only shared project files do
+    const deployTargets = action.references
+      .filter(reference => reference.deployTarget && !reference.dormant)
+      .map(reference => reference.deployTarget);
+    return Array.from(new Set(deployTargets)).sort();
+  }
+
+  async listDeployTargets() {
+    const targetsDir = path.join(this.projectRoot, '.wappler/targets');
+    if (!await fs.pathExists(targetsDir)) return [];
+    const entries = await fs.readdir(targetsDir, { withFileTypes: true });
+    return entries.filter(entry => entry.isDirectory()).map(entry => entry.name).sort();
+  }
+
+  findDeadClusters(graph, possiblyReachable) {
+    // Cycles of actions that only call each other, with nothing outside reaching them
+    return graph.getStronglyConnectedComponents()
+      .filter(component => component.length > 1 && component.every(urlPath => !possiblyReachable.has(urlPath)))
+      .map(component => component.sort())
+      .map(actions => ({
+        actions,
+        filePaths: actions.flatMap(urlPath => this.serverActions.get(urlPath).files)
+      }));
+  }
+
+  buildDependencyGraph(includeDynamic = false) {
+    const graph = new DependencyGraph();
+
+    for (const [urlPath, action] of this.serverActions) {
+      graph.addNode(urlPath);
+
+      // Production traffic, an external trigger or protection in .wapplercleanuprc makes an action
+      // an entry point in its own right, so whatever it calls stays reachable
+      if ((action.traffic && action.traffic.recent) || EXTERNAL_CATEGORIES.has(action.category) ||
+          this.config.isProtected(urlPath, ...action.files)) {
+        graph.addEntryPoint(urlPath);
+      }
+
+      const references = includeDynamic ? [...action.references, ...action.dynamicReferences] : action.references;
+      for (const reference of references) {
+        if (reference.dormant) continue;
+        if (reference.sourceAction) {
+          graph.addEdge(reference.sourceAction, urlPath);
+        } else {
+          graph.addEntryPoint(urlPath);
+        }
+      }
+    }
+
+    return graph;
   }
 
-  analyzeResults() {
+  analyzeResults({ orphanedViews = [] } = {}) {
     const results = {
       summary: {
         totalActions: this.serverActions.size,
         used: 0,
         possiblyUnused: 0,
-        likelyUnused: 0
+        likelyUnused: 0,
+        externalEntries: 0
       },
-      actions: []
+      actions: [],
+      deadClusters: []
     };
 
+    const graph = this.buildDependencyGraph();
+    const reachable = graph.getReachable();
+    // Dynamic URL patterns can only suggest usage, so they get their own pass
+    const possiblyReachable = this.buildDependencyGraph(true).getReachable();
+    const scorer = new ConfidenceScorer({ reachable, possiblyReachable, orphanedViews });
+    const deadClusters = this.findDeadClusters(graph, possiblyReachable);
+    const clusterByAction = new Map();
+    deadClusters.forEach(cluster => cluster.actions.forEach(urlPath => clusterByAction.set(urlPath, cluster)));
+
     for (const [urlPath, action] of this.serverActions) {
-      const referenceCount = action.references.length;
-      let confidence, status;
+      let { score, status, confidence, reasons } = scorer.score(urlPath, action);
+      // One url="..." attribute is shown as one reference, the way it is scored
+      const references = ConfidenceScorer.dedupeReferences(action.references);
+      const isProtected = this.config.isProtected(urlPath, ...action.files);
+      if (isProtected) {
+        // Protected paths are kept whatever the evidence says
+        status = 'used';
+        confidence = 'in-use';
+        reasons.push(`protected by ${path.basename(this.config.file)}`);
+      } else if (action.actionRoot && !action.actionRoot.urlPrefix && confidence === 'safe-to-delete') {
+        // Without a urlPrefix no page or route URL can match the action, so missing references prove nothing
+        status = 'possibly-unused';
+        confidence = 'review-needed';
+        reasons.push(`action root ${action.actionRoot.root} has no urlPrefix, URL references cannot be matched`);
+      }
+      const cluster = clusterByAction.get(urlPath);
+      if (cluster) {
+        reasons.push(`part of a dead cluster: ${cluster.actions.join(' ↔ ')}`);
+      }
+      if (action.selfReferences.length > 0) {
+        reasons.push(`${action.selfReferences.length} self-reference(s) ignored`);
+      }
+      const deployTargets = this.getDeployTargets(action);
+      if (deployTargets.length > 0) {
+        reasons.push(`used by target(s): ${deployTargets.join(', ')}`);
+      }
 
-      // Simplified confidence system: only "safe to delete" vs "review needed"
-      if (referenceCount === 0) {
-        confidence = 'safe-to-delete';
-        status = 'unused';
+      if (status === 'used') {
+        results.summary.used++;
+      } else if (status === 'likely-unused') {
         results.summary.likelyUnused++;
+      } else if (status === 'external-entry') {
+        results.summary.externalEntries++;
       } else {
-        confidence = 'review-needed';
-        status = 'used';
-        results.summary.used++;
+        results.summary.possiblyUnused++;
       }
 
       results.actions.push({
         urlPath,
         filePath: action.relativePath,
+        files: action.files,
+        category: action.category,
+        deployTargets,
+        protected: isProtected,
         status,
         confidence,
-        referenceCount,
-        references: action.references,
+        score,
+        reasons,
+        referenceCount: references.length,
+        reachable: reachable.has(urlPath),
+        dependencies: graph.getDependencies(urlPath),
+        references,
+        dynamicReferences: action.dynamicReferences,
+        selfReferences: action.selfReferences,
+        deadCluster: cluster ? cluster.actions : null,
+        traffic: action.traffic || null,
         content: action.content
       });
     }
 
-    // Sort by confidence (safe to delete first)
+    results.deadClusters = deadClusters;
+
+    // Sort by confidence (safe to delete first), lowest score first within a tier
     results.actions.sort((a, b) => {
-      const confidenceOrder = { 'safe-to-delete': 0, 'review-needed': 1 };
-      return confidenceOrder[a.confidence] - confidenceOrder[b.confidence];
+      const confidenceOrder = { 'safe-to-delete': 0, 'review-needed': 1, 'in-use': 2 };
+      return confidenceOrder[a.confidence] - confidenceOrder[b.confidence] || a.score - b.score;
     });
 
     return results;
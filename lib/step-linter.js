@@ -0,0 +1,124 @@
+const ActionModel = require('./action-model');
+
+// Core steps that end the request, nothing after them in the same list runs
+const TERMINATING_ACTIONS = new Set(['response', 'redirect', 'end', 'error']);
+
+// Database steps that only read data, pointless when nothing uses their result
+const QUERY_ACTIONS = new Set(['select', 'single', 'paged', 'count']);
+
+const EXPRESSION_PATTERN = /\{\{([\s\S]*?)\}\}/g;
+
+class StepLinter {
+  constructor(serverActions) {
+    this.serverActions = serverActions;
+  }
+
+  lint() {
+    const findings = [];
+
+    for (const [urlPath, action] of this.serverActions) {
+      const { model } = action;
+      const steps = [
+        ...this.findUnreachableSteps(model.steps),
+        ...this.findEmptyConditions(model),
+        ...this.findUnusedQueries(model)
+      ];
+
+      if (steps.length > 0) {
+        findings.push({
+          urlPath,
+          filePath: action.filePath,
+          relativePath: action.relativePath,
+          steps
+        });
+      }
+    }
+
+    return findings;
+  }
+
+  findUnreachableSteps(steps) {
+    const findings = [];
+    let terminator = null;
+
+    for (const step of steps) {
+      if (step.disabled) continue;
+
+      if (terminator) {
+        findings.push(this.finding('unreachable', step, `runs after ${ActionModel.getStepLabel(terminator)} has already ended the request`));
+        continue;
+      }
+      if (this.terminates(step)) {
+        terminator = step;
+      }
+      for (const child of step.children) {
+        findings.push(...this.findUnreachableSteps(child.steps));
+      }
+    }
+
+    return findings;
+  }
+
+  terminates(step) {
+    // A condition ends the request when both of its branches do
+    if (step.disabled) return false;
+    if (step.module === 'core' && TERMINATING_ACTIONS.has(step.action)) return true;
+    if (step.action === 'condition') {
+      const branches = step.children.filter(child => child.branch === 'then' || child.branch === 'else');
+      return branches.length === 2 && branches.every(child => child.steps.some(childStep => this.terminates(childStep)));
+    }
+    return false;
+  }
+
+  findEmptyConditions(model) {
+    const findings = [];
+    model.walk(step => {
+      if (step.disabled || step.action !== 'condition') return;
+      if (step.children.every(child => child.steps.length === 0)) {
+        findings.push(this.finding('empty-condition', step, 'condition has no steps in any branch'));
+      }
+    });
+    return findings;
+  }
+
+  findUnusedQueries(model) {
+    const readers = [];
+    model.walkUsages((step, options) => readers.push({ step, expressions: this.getExpressions(options) }));
+    const findings = [];
+
+    for (const step of model.getAllSteps()) {
+      if (step.disabled || step.output || !step.name) continue;
+      if (step.module !== 'dbconnector' || !QUERY_ACTIONS.has(step.action)) continue;
+
+      const namePattern = new RegExp(`(^|[^\\w$.])${step.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w$])`);
+      const isRead = readers.some(reader => reader.step !== step && reader.expressions.some(expression => namePattern.test(expression)));
+      if (!isRead) {
+        findings.push(this.finding('unused-query', step, 'query result is not output and no other step reads it'));
+      }
+    }
+
+    return findings;
+  }
+
+  getExpressions(options) {
+    const expressions = [];
+    for (const { value } of options) {
+      for (const match of value.matchAll(EXPRESSION_PATTERN)) {
+        expressions.push(match[1]);
+      }
+    }
+    return expressions;
+  }
+
+  finding(type, step, message) {
+    return {
+      type,
+      step: ActionModel.getStepLabel(step),
+      module: step.module,
+      action: step.action,
+      message
+    };
+  }
+}
+
+module.exports = StepLinter;
@@ -0,0 +1,40 @@
+const fs = require('fs');
+const path = require('path');
+
+// Written next to the project so the Scanner picks it up without extra options
+const USAGE_FILE = '.wappler-usage.log';
+
+/**
+ * Express middleware that appends every server action request to a usage file,
+ * one JSON line per hit: {"time":"...","method":"GET","path":"/api/v1/users/list"}
+ *
+ * Mount it in a Wappler Node project, e.g. extensions/server_connect/routes/usage-tracker.js:
+ *   exports.before = (app) => app.use(require('wappler-cleanup-tool/lib/usage-tracker')());
+ */
+function createUsageTracker(options = {}) {
+  const file = options.file || path.join(process.cwd(), USAGE_FILE);
+  const prefix = options.prefix || '/api/';
+  let stream = null;
+  let failed = false;
+
+  return function usageTracker(req, res, next) {
+    const requestPath = (req.originalUrl || req.url || '').split('?')[0];
+
+    if (!failed && requestPath.startsWith(prefix)) {
+      if (!stream) {
+        stream = fs.createWriteStream(file, { flags: 'a' });
+        // Tracking must never take the app down, a failing write just stops recording
+        stream.on('error', (error) => {
+          failed = true;
+          console.error(`Usage tracker: cannot write ${file}: ${error.message}`);
+        });
+      }
+      stream.write(JSON.stringify({ time: new Date().toISOString(), method: req.method, path: requestPath }) + '\n');
+    }
+
+    next();
+  };
+}
+
+module.exports = createUsageTracker;
+module.exports.USAGE_FILE = USAGE_FILE;
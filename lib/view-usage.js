@@ -0,0 +1,193 @@
+const fs = require('fs-extra');
+const path = require('path');
+const glob = require('fast-glob');
+const DependencyGraph = require('./dependency-graph');
+const ProjectConfig = require('./project-config');
+
+class ViewUsageDetector {
+  constructor(projectRoot, config = null) {
+    this.projectRoot = projectRoot;
+    this.config = config || new ProjectConfig();
+    this.viewsDir = path.join(projectRoot, 'views');
+    this.routesFilePath = path.join(projectRoot, 'app/config/routes.json');
+  }
+
+  async findOrphanedViews() {
+    return this.findUnreachable(name => !this.isTemplate(name));
+  }
+
+  async findUnusedLayouts() {
+    return this.findUnreachable(name => name.startsWith('layouts/'));
+  }
+
+  async findUnusedPartials() {
+    return this.findUnreachable(name => name.startsWith('partials/'));
+  }
+
+  async findUnreachable(filter) {
+    // Build the graph once per detector, the find* methods share it
+    if (!this.viewGraph) {
+      this.viewGraph = await this.buildViewGraph();
+    }
+    const { graph, views } = this.viewGraph;
+    const reachable = graph.getReachable();
+
+    return views
+      .filter(view => filter(view.name) && !reachable.has(view.name))
+      .map(view => ({
+        path: view.path,
+        relativePath: view.relativePath,
+        name: view.name,
+        referencedBy: graph.getDependents(view.name).map(name => `views/${name}.ejs`)
+      }));
+  }
+
+  async buildViewGraph() {
+    const graph = new DependencyGraph();
+    const views = [];
+
+    if (!await fs.pathExists(this.viewsDir)) {
+      return { graph, views };
+    }
+
+    // Excluded views are left out entirely, their includes and links keep nothing alive
+    const files = (await glob('**/*.ejs', { cwd: this.viewsDir }))
+      .filter(file => !this.config.isExcluded(path.join('views', file)));
+    const viewNames = new Set(files.map(file => file.replace(/\.ejs$/, '')));
+
+    for (const file of files) {
+      const name = file.replace(/\.ejs$/, '');
+      graph.addNode(name);
+      views.push({
+        path: path.join(this.viewsDir, file),
+        relativePath: path.join('views', file),
+        name
+      });
+    }
+
+    // Routes are the entry points: every page and layout a route names is served
+    const routes = await this.loadRoutes();
+    const routePages = new Map();
+    for (const route of routes) {
+      if (route.page) {
+        graph.addEntryPoint(route.page);
+        if (route.path) {
+          routePages.set(route.path, route.page);
+        }
+      }
+      if (route.layout) {
+        graph.addEntryPoint(`layouts/${route.layout}`);
+      }
+    }
+
+    // Includes, layout directives and links are edges from the view that contains them
+    for (const view of views) {
+      const content = await fs.readFile(view.path, 'utf-8');
+
+      for (const target of this.findIncludes(content, view.name)) {
+        if (viewNames.has(target)) {
+          graph.addEdge(view.name, target);
+        }
+      }
+
+      // Wappler pages name their layout in the first comment: <!-- Wappler include head-page="layouts/main" -->
+      const headPageMatch = content.match(/<!--\s*Wappler include head-page=["']([^"']+)["']/);
+      if (headPageMatch) {
+        const layout = headPageMatch[1].replace(/\.ejs$/, '');
+        if (viewNames.has(layout)) {
+          graph.addEdge(view.name, layout);
+        }
+      }
+
+      for (const href of this.findLinks(content)) {
+        const target = routePages.get(href) || href.replace(/^\//, '').replace(/\.(ejs|html)$/, '');
+        if (viewNames.has(target)) {
+          graph.addEdge(view.name, target);
+        }
+      }
+    }
+
+    return { graph, views };
+  }
+
+  async loadRoutes() {
+    try {
+      if (!await fs.pathExists(this.routesFilePath)) {
+        return [];
+      }
+      const routesConfig = await fs.readJson(this.routesFilePath);
+      return this.flattenRoutes(routesConfig.routes || []);
+    } catch (error) {
+      // Malformed routes.json - treat as no routes
+      return [];
+    }
+  }
+
+  flattenRoutes(routes) {
+    const flat = [];
+    for (const route of routes) {
+      flat.push(route);
+      if (Array.isArray(route.routes)) {
+        flat.push(...this.flattenRoutes(route.routes));
+      }
+    }
+    return flat;
+  }
+
+  findIncludes(content, viewName) {
+    const includes = [];
+    const includeMatches = content.match(/include\(\s*['"`]([^'"`]+)['"`]/g);
+    if (includeMatches) {
+      for (const match of includeMatches) {
+        const target = match.match(/include\(\s*['"`]([^'"`]+)['"`]/)[1].replace(/\.ejs$/, '');
+        // EJS resolves includes relative to the including file, Wappler usually writes them from views root
+        includes.push(path.posix.normalize(path.posix.join(path.posix.dirname(viewName), target)));
+        includes.push(path.posix.normalize(target.replace(/^\//, '')));
+      }
+    }
+    return includes;
+  }
+
+  findLinks(content) {
+    const links = [];
+    const hrefMatches = content.match(/href=["']([^"']+)["']/g);
+    if (hrefMatches) {
+      for (const match of hrefMatches) {
+        const href = match.match(/href=["']([^"']+)["']/)[1].split('?')[0].split('#')[0];
+        if (href.startsWith('/')) {
+          links.push(href);
+        }
+      }
+    }
+    return links;
+  }
+
+  isTemplate(name) {
+    return name.startsWith('layouts/') || name.startsWith('partials/');
+  }
+
+  async deleteViews(viewPaths) {
+    const results = {
+      deleted: [],
+      errors: []
+    };
+
+    for (const viewPath of viewPaths) {
+      try {
+        if (await fs.pathExists(viewPath)) {
+          await fs.remove(viewPath);
+          results.deleted.push(viewPath);
+        }
+      } catch (error) {
+        results.errors.push({
+          path: viewPath,
+          error: error.message
+        });
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = ViewUsageDetector;